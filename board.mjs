@@ -0,0 +1,345 @@
+import {
+    escapeHtml,
+    fetchGitHubGraphQL,
+    setupJsonConfigEditor,
+    updateViewSwitcherLinks
+} from './shared.mjs';
+
+// Storage key for the board settings
+const BOARD_STORAGE_KEY = 'github_board_settings';
+const BOARD_VERSION = 1;
+
+// Query string parameter that turns board mode on (board=1)
+const BOARD_PARAM = 'board';
+
+// Supported column sources
+const BOARD_SOURCES = ['labels', 'project'];
+
+// Key of the column that collects items without a status
+const UNLABELLED_KEY = '__unlabelled__';
+
+// Projects v2 items are fetched 100 at a time, up to this many pages
+const PROJECT_MAX_PAGES = 20;
+
+// Default settings - columns from "status: ..." labels
+const DEFAULT_BOARD_SETTINGS = {
+    source: 'labels',
+    labelPrefix: 'status:',
+    columns: ['todo', 'in progress', 'review', 'done'],
+    project: ''
+};
+
+// GraphQL query for the Status field of a Projects v2 board (organization or user)
+const PROJECT_FIELDS = `
+    field(name: $field) {
+        ... on ProjectV2SingleSelectField { options { name } }
+    }
+    items(first: 100, after: $cursor) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+            fieldValueByName(name: $field) {
+                ... on ProjectV2ItemFieldSingleSelectValue { name }
+            }
+            content {
+                ... on Issue { number repository { nameWithOwner } }
+                ... on PullRequest { number repository { nameWithOwner } }
+            }
+        }
+    }
+`;
+const PROJECT_QUERY = (ownerType) => `
+    query($login: String!, $number: Int!, $field: String!, $cursor: String) {
+        ${ownerType}(login: $login) {
+            projectV2(number: $number) { ${PROJECT_FIELDS} }
+        }
+    }
+`;
+
+// State
+let boardSettings = loadBoardSettings();
+let boardMode = new URLSearchParams(window.location.search).get(BOARD_PARAM) === '1';
+let projectStatuses = null;
+let projectError = null;
+
+/**
+ * Get the default board settings
+ */
+export function getDefaultBoardSettings() {
+    return { version: BOARD_VERSION, ...DEFAULT_BOARD_SETTINGS, columns: [...DEFAULT_BOARD_SETTINGS.columns] };
+}
+
+/**
+ * Load the board settings from localStorage (falls back to the defaults)
+ */
+function loadBoardSettings() {
+    try {
+        const saved = localStorage.getItem(BOARD_STORAGE_KEY);
+        if (saved) {
+            return validateBoardSettings(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('Board settings read error:', error);
+    }
+    return getDefaultBoardSettings();
+}
+
+/**
+ * Get the active board settings
+ */
+export function getBoardSettings() {
+    return boardSettings;
+}
+
+/**
+ * Validate board settings and return a normalized copy
+ */
+export function validateBoardSettings(candidate) {
+    if (!candidate || typeof candidate !== 'object') {
+        throw new Error('Board settings must be an object');
+    }
+    
+    const source = candidate.source || 'labels';
+    if (!BOARD_SOURCES.includes(source)) {
+        throw new Error(`source must be one of ${BOARD_SOURCES.join(', ')}`);
+    }
+    
+    const columns = candidate.columns || [];
+    if (!Array.isArray(columns) || columns.some(column => typeof column !== 'string' || column.trim() === '')) {
+        throw new Error('columns must be an array of non-empty strings');
+    }
+    
+    const labelPrefix = candidate.labelPrefix ?? DEFAULT_BOARD_SETTINGS.labelPrefix;
+    if (source === 'labels' && (typeof labelPrefix !== 'string' || labelPrefix.trim() === '')) {
+        throw new Error('labelPrefix must be a non-empty string');
+    }
+    
+    const project = candidate.project || '';
+    if (source === 'project' && !parseProjectUrl(project)) {
+        throw new Error('project must be a Projects URL like https://github.com/orgs/owner/projects/1');
+    }
+    
+    return {
+        version: BOARD_VERSION,
+        source,
+        labelPrefix,
+        columns: columns.map(column => column.trim()),
+        project,
+        ...(candidate.field ? { field: String(candidate.field) } : {})
+    };
+}
+
+/**
+ * Parse, validate and save board settings from JSON text
+ */
+export function importBoardSettings(jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    boardSettings = validateBoardSettings(parsed);
+    projectStatuses = null;
+    localStorage.setItem(BOARD_STORAGE_KEY, JSON.stringify(boardSettings));
+    return boardSettings;
+}
+
+/**
+ * Restore the default board settings
+ */
+export function resetBoardSettings() {
+    localStorage.removeItem(BOARD_STORAGE_KEY);
+    boardSettings = getDefaultBoardSettings();
+    projectStatuses = null;
+    return boardSettings;
+}
+
+/**
+ * Serialize the active board settings for export
+ */
+export function exportBoardSettings() {
+    return JSON.stringify(boardSettings, null, 2);
+}
+
+/**
+ * Check whether board mode is on
+ */
+export function isBoardMode() {
+    return boardMode;
+}
+
+/**
+ * Turn board mode on or off and store it in the query string
+ */
+export function setBoardMode(enabled) {
+    boardMode = Boolean(enabled);
+    
+    const url = new URL(window.location);
+    if (boardMode) {
+        url.searchParams.set(BOARD_PARAM, '1');
+    } else {
+        url.searchParams.delete(BOARD_PARAM);
+    }
+    window.history.replaceState({}, '', url);
+    updateViewSwitcherLinks();
+}
+
+/**
+ * Parse a Projects v2 URL (https://github.com/orgs/NAME/projects/N or /users/NAME/projects/N)
+ */
+function parseProjectUrl(url) {
+    const match = /github\.com\/(orgs|users)\/([^/]+)\/projects\/(\d+)/.exec(url || '');
+    if (!match) return null;
+    return {
+        ownerType: match[1] === 'orgs' ? 'organization' : 'user',
+        login: match[2],
+        number: parseInt(match[3], 10)
+    };
+}
+
+/**
+ * Fetch the Status of every item on the configured Projects v2 board
+ * @returns {Promise<{options: Array<string>, statuses: Map}>} Status options in board order, status by "owner/repo#number"
+ */
+async function fetchProjectStatuses() {
+    const { ownerType, login, number } = parseProjectUrl(boardSettings.project);
+    const field = boardSettings.field || 'Status';
+    const statuses = new Map();
+    let options = [];
+    let cursor = null;
+    
+    for (let page = 0; page < PROJECT_MAX_PAGES; page++) {
+        const data = await fetchGitHubGraphQL(PROJECT_QUERY(ownerType), { login, number, field, cursor });
+        const project = data[ownerType]?.projectV2;
+        if (!project) {
+            throw new Error(`Project ${boardSettings.project} not found`);
+        }
+        
+        options = (project.field?.options || []).map(option => option.name);
+        project.items.nodes.forEach(node => {
+            if (node.content?.repository && node.fieldValueByName?.name) {
+                statuses.set(`${node.content.repository.nameWithOwner}#${node.content.number}`, node.fieldValueByName.name);
+            }
+        });
+        
+        if (!project.items.pageInfo.hasNextPage) break;
+        cursor = project.items.pageInfo.endCursor;
+    }
+    
+    return { options, statuses };
+}
+
+/**
+ * Load what the board needs before rendering (the project statuses when columns come from a project)
+ * Errors are kept and shown on the board instead of being thrown
+ */
+export async function prepareBoard() {
+    if (!boardMode || boardSettings.source !== 'project' || projectStatuses) return;
+    
+    try {
+        projectStatuses = await fetchProjectStatuses();
+        projectError = null;
+    } catch (error) {
+        console.error('Project status error:', error);
+        projectError = error.message;
+    }
+}
+
+/**
+ * Get the column of an item (null when it has no status)
+ */
+function getItemColumn(item) {
+    if (boardSettings.source === 'project') {
+        return projectStatuses ? projectStatuses.statuses.get(`${item.repoName}#${item.number}`) || null : null;
+    }
+    
+    const prefix = boardSettings.labelPrefix.toLowerCase();
+    const statusLabels = (item.labels || [])
+        .map(label => typeof label === 'string' ? label : label.name)
+        .filter(name => name.toLowerCase().startsWith(prefix))
+        .map(name => name.slice(prefix.length).trim())
+        .filter(name => name);
+    
+    if (statusLabels.length === 0) return null;
+    
+    // With several status labels, the one furthest along the configured columns wins
+    const configured = boardSettings.columns.map(column => column.toLowerCase());
+    return statusLabels.sort((a, b) => configured.indexOf(b.toLowerCase()) - configured.indexOf(a.toLowerCase()))[0];
+}
+
+/**
+ * Group items into board columns
+ * Configured columns come first (in order, even when empty), then any other status found,
+ * then the "unlabelled" column
+ * @returns {Array<{key, label, items}>}
+ */
+export function groupIntoColumns(items) {
+    const configured = boardSettings.source === 'project' && projectStatuses && boardSettings.columns.length === 0 ?
+        projectStatuses.options :
+        boardSettings.columns;
+    
+    const columns = new Map(configured.map(name => [name.toLowerCase(), { key: name.toLowerCase(), label: name, items: [] }]));
+    const extra = new Map();
+    const unlabelled = {
+        key: UNLABELLED_KEY,
+        label: boardSettings.source === 'project' ? 'No status' : 'Unlabelled',
+        items: []
+    };
+    
+    items.forEach(item => {
+        const name = getItemColumn(item);
+        if (!name) {
+            unlabelled.items.push(item);
+            return;
+        }
+        
+        const key = name.toLowerCase();
+        const target = columns.get(key) || extra.get(key);
+        if (target) {
+            target.items.push(item);
+        } else {
+            extra.set(key, { key, label: name, items: [item] });
+        }
+    });
+    
+    const extraColumns = [...extra.values()].sort((a, b) => a.label.localeCompare(b.label));
+    return [...columns.values(), ...extraColumns, ...(unlabelled.items.length > 0 ? [unlabelled] : [])];
+}
+
+/**
+ * Render items as a board
+ * @param {Array} items - Issues and PRs
+ * @param {Function} renderCards - Renders a list of items as cards (the view's renderItems)
+ */
+export function renderBoard(items, renderCards) {
+    const warning = boardSettings.source === 'project' && projectError ?
+        `<div class="warning">⚠️ Could not load project statuses: ${escapeHtml(projectError)}</div>` : '';
+    
+    const columns = groupIntoColumns(items).map(column => `
+        <div class="board-column${column.key === UNLABELLED_KEY ? ' board-column-unlabelled' : ''}">
+            <div class="board-column-title">${escapeHtml(column.label)} <span class="board-column-count">${column.items.length}</span></div>
+            <div class="board-column-items">
+                ${column.items.length > 0 ? renderCards(column.items) : '<div class="empty-state">Empty</div>'}
+            </div>
+        </div>
+    `).join('');
+    
+    return `${warning}<div class="board">${columns}</div>`;
+}
+
+/**
+ * Setup the board settings editor
+ * @param {Function} onChange - Called after the settings were saved, reset or imported (once the board is ready)
+ */
+export function setupBoardSettings(onChange) {
+    setupJsonConfigEditor({
+        prefix: 'board',
+        exportJson: exportBoardSettings,
+        importJson: importBoardSettings,
+        reset: resetBoardSettings,
+        describe: () => boardSettings.source === 'project' ?
+            `columns from ${boardSettings.project}` :
+            `columns from "${boardSettings.labelPrefix}" labels`,
+        filename: 'board-settings.json'
+    }, () => prepareBoard().then(onChange));
+}
@@ -1,11 +1,6 @@
 import {
-    fetchRepositoryData,
-    getContrastColor,
-    showError,
     escapeHtml,
-    formatReactions,
     getTotalReactions,
-    getRepoColor,
     setupCommonUI,
     setupLoadButton,
     setupAutoLoad,
@@ -13,147 +8,135 @@ import {
     setupHelpPanel,
     setupAnalyticsConsent,
     formatMarkdown,
-    formatDate,
-    renderIssueDetails
+    setupClassificationRules,
+    setupJsonConfigEditor,
+    renderItemCards,
+    setupRepositoryLoader,
+    loadRepositories,
+    getLoadedRepositories,
+    reclassifyLoadedRepositories,
+    renderRepositoryStatusCards,
+    setupItemDetailsPanel
 } from './shared.mjs';
+import {
+    setupFilterBar,
+    filterItems,
+    hasActiveFilters
+} from './filters.mjs';
+import { sortItems } from './sorting.mjs';
+import { setupExportMenu } from './export.mjs';
+import { setupKeyboardNavigation, getSwimlaneHeaderAttributes } from './keyboard.mjs';
+import {
+    getCategorySet,
+    importCategorySet,
+    resetCategorySet,
+    exportCategorySet,
+    categorizeItems
+} from './categories.mjs';
+import {
+    isBoardMode,
+    prepareBoard,
+    renderBoard,
+    setupBoardSettings
+} from './board.mjs';
+
+// State
+const expandedSwimlanes = new Set();
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     setupCommonUI();
     setupAdBanner();
     setupHelpPanel();
+    setupKeyboardNavigation();
     setupAnalyticsConsent();
-    setupLoadButton(loadAllRepositories);
-    
+    setupFilterBar(() => renderTypes());
+    setupExportMenu('By Type', getExportGroups);
+    setupClassificationRules(() => {
+        reclassifyLoadedRepositories();
+        renderTypes();
+    });
+    setupJsonConfigEditor({
+        prefix: 'categories',
+        exportJson: exportCategorySet,
+        importJson: importCategorySet,
+        reset: resetCategorySet,
+        describe: () => `${getCategorySet().categories.length} categories`,
+        filename: 'swimlane-categories.json'
+    }, () => renderTypes());
+    setupBoardSettings(() => renderTypes());
+    setupRepositoryLoader({ render: renderTypes, prepare: prepareBoard });
+    setupLoadButton(loadRepositories);
+
     // Auto-load on page load with initial repos
-    setupAutoLoad(loadAllRepositories);
+    setupAutoLoad(loadRepositories);
     
-    // Setup issue detail panel handlers
-    const iframePanel = document.getElementById('iframePanel');
-    const closeIframe = document.getElementById('closeIframe');
+    // Detail panel, opened from the cards and from desktop notifications
+    setupItemDetailsPanel();
+});
 
-    closeIframe.addEventListener('click', () => {
-        iframePanel.classList.remove('open');
-    });
+/**
+ * Get the visible items grouped and sorted as in the swimlanes (for exports)
+ */
+function getExportGroups() {
+    const allItems = filterItems(getLoadedRepositories().flatMap(r => [...r.issues, ...r.pullRequests]));
+    return categorizeItems(allItems).map(({ label, items }) => ({ title: label, items: sortTypeItems(items) }));
+}
 
-    // Handle clicks on issue cards
-    document.addEventListener('click', async (e) => {
-        // Check if clicked on item card or its children (but not the external link)
-        const item = e.target.closest('.item');
-        const link = e.target.closest('a.item-title');
-        
-        if (item && !link) {
-            e.preventDefault();
-            
-            const issueData = JSON.parse(item.dataset.issue);
-            const iframeTitle = document.getElementById('iframeTitle');
-            const detailsContent = document.getElementById('detailsContent');
-            const detailsLoading = document.getElementById('detailsLoading');
-            
-            // Show in detail panel
-            iframeTitle.textContent = 'Loading...';
-            iframePanel.classList.add('open');
-            detailsContent.innerHTML = '';
-            detailsLoading.style.display = 'block';
-            
-            try {
-                loadIssueDetails(issueData, iframeTitle, detailsContent);
-            } catch (error) {
-                detailsContent.innerHTML = `<div class="error">Failed to load issue details: ${error.message}</div>`;
-            } finally {
-                detailsLoading.style.display = 'none';
-            }
-        }
+/**
+ * Sort items - default order: reactions count (descending)
+ */
+function sortTypeItems(items) {
+    return sortItems(items, (a, b) => {
+        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
     });
-});
+}
 
 /**
- * Load all repositories and display them grouped by type
+ * Render the type swimlanes for all loaded repositories with the active filters
  */
-async function loadAllRepositories(repos, openOnly = true) {
-    const loadingEl = document.getElementById('loading');
+function renderTypes() {
     const swimlanesEl = document.getElementById('swimlanes');
-    const errorContainer = document.getElementById('error-container');
-
-    // Clear previous data
     swimlanesEl.innerHTML = '';
-    errorContainer.innerHTML = '';
-    loadingEl.style.display = 'block';
-
-    try {
-        // Fetch all repositories
-        const results = await Promise.all(
-            repos.map(repo => fetchRepositoryData(repo, openOnly))
-        );
-
-        loadingEl.style.display = 'none';
-
-        // Show errors for failed repositories
-        const failed = results.filter(r => !r.success);
-        if (failed.length > 0) {
-            const errorMessages = failed.map(r => `${r.repo}: ${r.error}`).join('<br>');
-            showError(`Failed to load some repositories:<br>${errorMessages}`);
-        }
 
-        // Display successful repositories
-        const successful = results.filter(r => r.success);
-        if (successful.length === 0) {
-            swimlanesEl.innerHTML = '<div class="empty-state">No repositories loaded successfully</div>';
-            return;
-        }
+    // Aggregate all issues and PRs, then group them into the configured categories
+    const allIssues = filterItems(getLoadedRepositories().flatMap(r => r.issues));
+    const allPRs = filterItems(getLoadedRepositories().flatMap(r => r.pullRequests));
 
-        // Aggregate all issues by type (excluding PRs)
-        const allIssues = successful.flatMap(r => r.issues);
-        const allPRs = successful.flatMap(r => r.pullRequests);
-        
-        // Group by type
-        const byType = {
-            bug: allIssues.filter(item => item.type === 'bug'),
-            feature: allIssues.filter(item => item.type === 'feature'),
-            task: allIssues.filter(item => item.type === 'task'),
-            other: allIssues.filter(item => item.type === 'other')
-        };
-
-        // Render swimlanes for each type
-        const typeOrder = [
-            { key: 'bug', label: '🐛 Bugs', icon: '🐛' },
-            { key: 'prs', label: '🔀 Pull Requests', icon: '🔀', items: allPRs },
-            { key: 'feature', label: '✨ Features', icon: '✨' },
-            { key: 'task', label: '📋 Tasks', icon: '📋' },
-            { key: 'other', label: '❓ Other', icon: '❓' }
-        ];
-
-        typeOrder.forEach(({ key, label, icon, items }) => {
-            const itemsToRender = items || byType[key];
-            if (itemsToRender && itemsToRender.length > 0) {
-                renderTypeSwimlane(label, itemsToRender);
-            }
-        });
-
-        if (allIssues.length === 0 && allPRs.length === 0) {
-            swimlanesEl.innerHTML = '<div class="empty-state">No issues or PRs found</div>';
+    // Render swimlanes for each category
+    categorizeItems([...allIssues, ...allPRs]).forEach(({ key, label, icon, items }) => {
+        if (items.length > 0) {
+            renderTypeSwimlane(key, `${escapeHtml(icon)} ${escapeHtml(label)}`.trim(), items);
         }
+    });
 
-    } catch (error) {
-        loadingEl.style.display = 'none';
-        showError(`Error loading repositories: ${error.message}`);
+    if (allIssues.length === 0 && allPRs.length === 0 && getLoadedRepositories().length > 0) {
+        swimlanesEl.innerHTML = hasActiveFilters() ?
+            '<div class="empty-state">No issues or PRs match the current filters</div>' :
+            '<div class="empty-state">No issues or PRs found</div>';
     }
+
+    // Repositories that failed or are still loading
+    swimlanesEl.insertAdjacentHTML('beforeend', renderRepositoryStatusCards());
 }
 
 /**
  * Render a swimlane for a type
  */
-function renderTypeSwimlane(typeLabel, items) {
+function renderTypeSwimlane(key, typeLabel, items) {
     const swimlanesEl = document.getElementById('swimlanes');
 
     const swimlane = document.createElement('div');
-    swimlane.className = 'swimlane collapsed';
+    swimlane.className = expandedSwimlanes.has(key) ? 'swimlane' : 'swimlane collapsed';
+    swimlane.dataset.lane = key;
 
-    // Count repositories
+    // Count repositories and pull requests (custom categories can mix issues and PRs)
     const repos = [...new Set(items.map(item => item.repoName))];
+    const prCount = items.filter(item => item.pull_request).length;
+    const issueCount = items.length - prCount;
 
     swimlane.innerHTML = `
-        <div class="swimlane-header">
+        <div class="swimlane-header" ${getSwimlaneHeaderAttributes(expandedSwimlanes.has(key))}>
             <div class="swimlane-title">
                 <div class="swimlane-title-main">
                     <span class="collapse-icon">▼</span>
@@ -161,12 +144,13 @@ function renderTypeSwimlane(typeLabel, items) {
                 </div>
             </div>
             <div class="swimlane-stats">
-                <span>Issues: ${items.length}</span>
+                ${issueCount > 0 ? `<span>Issues: ${issueCount}</span>` : ''}
+                ${prCount > 0 ? `<span class="stat-prs">🔀 PRs: ${prCount}</span>` : ''}
                 <span>📂 Repos: ${repos.length}</span>
             </div>
         </div>
         <div class="swimlane-content">
-            ${renderItems(items)}
+            ${isBoardMode() ? renderBoard(items, renderItems) : renderItems(items)}
         </div>
     `;
 
@@ -174,6 +158,12 @@ function renderTypeSwimlane(typeLabel, items) {
     const header = swimlane.querySelector('.swimlane-header');
     header.addEventListener('click', () => {
         swimlane.classList.toggle('collapsed');
+        header.setAttribute('aria-expanded', String(!swimlane.classList.contains('collapsed')));
+        if (swimlane.classList.contains('collapsed')) {
+            expandedSwimlanes.delete(key);
+        } else {
+            expandedSwimlanes.add(key);
+        }
     });
 
     swimlanesEl.appendChild(swimlane);
@@ -183,53 +173,5 @@ function renderTypeSwimlane(typeLabel, items) {
  * Render a list of items
  */
 function renderItems(items) {
-    if (items.length === 0) {
-        return '<div class="empty-state">No items found</div>';
-    }
-
-    // Sort by reactions count (descending)
-    const sortedItems = [...items].sort((a, b) => {
-        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
-    });
-
-    return sortedItems.map(item => {
-        const stateIcon = item.state === 'open' ? '🟢' : '🔴';
-        const milestone = item.milestone ? `<span class="milestone">🎯 ${escapeHtml(item.milestone.title)}</span>` : '';
-        const createdDate = formatDate(item.created_at);
-        const updatedDate = formatDate(item.updated_at);
-        
-        return `
-            <div class="item" data-issue='${JSON.stringify(item).replace(/'/g, "&apos;")}'>
-                <div class="item-header">
-                    <span class="item-number">#${item.number}</span>
-                    <span class="item-title-text">
-                        ${escapeHtml(item.title)}
-                    </span>
-                    <a href="${item.html_url}" class="item-title-link" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation();">↗️</a>
-                </div>
-                <div class="item-meta">
-                    <span class="label repo-badge" style="--repo-bg: ${getRepoColor(item.repoName)}">${escapeHtml(item.repoName)}</span>
-                    <span class="item-state">${stateIcon} ${item.state}</span>
-                    <span class="item-dates">📅 ${createdDate} • 🔄 ${updatedDate}</span>
-                    ${milestone}
-                    ${item.comments > 0 ? `<span class="interaction-metric" title="comments">💬 ${item.comments}</span>` : ''}
-                    ${formatReactions(item.reactions)}
-                    ${item.labels.slice(0, 3).map(label => {
-                        const labelName = typeof label === 'string' ? label : label.name;
-                        const labelColor = typeof label === 'object' && label.color ? 
-                            `#${label.color}` : '#6e7681';
-                        const textColor = getContrastColor(labelColor);
-                        return `<span class="label" style="--label-bg: ${labelColor}; --label-color: ${textColor}">${escapeHtml(labelName)}</span>`;
-                    }).join('')}
-                </div>
-            </div>
-        `;
-    }).join('');
-}
-
-/**
- * Load and display issue details
- */
-function loadIssueDetails(issue, iframeTitle, detailsContent) {
-    renderIssueDetails(issue, issue.html_url, iframeTitle, detailsContent);
+    return renderItemCards(sortTypeItems(items));
 }
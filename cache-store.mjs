@@ -0,0 +1,293 @@
+// IndexedDB configuration
+const DB_NAME = 'github_issues_tracker';
+const DB_VERSION = 2;
+const STORE_NAME = 'cache';
+
+// Small {key, size, timestamp} records kept next to the entries, so eviction and the
+// status display never have to read the full repository payloads
+const INFO_STORE_NAME = 'cacheInfo';
+
+// Maximum space the cache may use before the oldest entries are evicted (50 MB)
+const MAX_CACHE_BYTES = 50 * 1024 * 1024;
+
+// Key prefix of the cache entries older versions stored in localStorage
+const LEGACY_CACHE_PREFIX = 'github_cache_';
+
+// State
+let dbPromise = null;
+
+/**
+ * Open (and create if needed) the cache database
+ * Entries left in localStorage by older versions are moved in before the database is handed out,
+ * so no read or eviction runs while they are being written
+ */
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+    
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            const store = db.objectStoreNames.contains(STORE_NAME) ?
+                request.transaction.objectStore(STORE_NAME) :
+                db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+            if (!store.indexNames.contains('timestamp')) {
+                store.createIndex('timestamp', 'timestamp');
+            }
+            
+            if (!db.objectStoreNames.contains(INFO_STORE_NAME)) {
+                const infoStore = db.createObjectStore(INFO_STORE_NAME, { keyPath: 'key' });
+                
+                // Entries cached by version 1 get their info records once, during the upgrade
+                store.openCursor().onsuccess = event => {
+                    const cursor = event.target.result;
+                    if (!cursor) return;
+                    infoStore.put(getEntryInfo(cursor.value));
+                    cursor.continue();
+                };
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).then(async db => {
+        await migrateFromLocalStorage(db);
+        return db;
+    });
+    
+    // Allow a later call to retry if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+    
+    return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a callback against the entry and info stores inside a transaction
+ * @param {Function} callback - Receives the entry store and the info store
+ */
+async function withStore(mode, callback) {
+    const db = await openDatabase();
+    const transaction = db.transaction([STORE_NAME, INFO_STORE_NAME], mode);
+    const store = transaction.objectStore(STORE_NAME);
+    const infoStore = transaction.objectStore(INFO_STORE_NAME);
+    const completed = new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    
+    const [result] = await Promise.all([callback(store, infoStore), completed]);
+    return result;
+}
+
+/**
+ * Measure the size of an entry in bytes (UTF-8 encoded JSON)
+ */
+function measureEntry(entry) {
+    return new Blob([JSON.stringify(entry)]).size;
+}
+
+/**
+ * Get the info record of an entry
+ */
+function getEntryInfo(record) {
+    return { key: record.key, size: record.size || 0, timestamp: record.timestamp };
+}
+
+/**
+ * Write an entry together with its info record
+ */
+function putRecord(store, infoStore, record) {
+    return Promise.all([
+        promisifyRequest(store.put(record)),
+        promisifyRequest(infoStore.put(getEntryInfo(record)))
+    ]);
+}
+
+/**
+ * Delete entries together with their info records
+ */
+function deleteRecords(store, infoStore, keys) {
+    return Promise.all(keys.flatMap(key => [
+        promisifyRequest(store.delete(key)),
+        promisifyRequest(infoStore.delete(key))
+    ]));
+}
+
+/**
+ * Get a cache entry by key
+ */
+export async function getEntry(key) {
+    const entry = await withStore('readonly', store => promisifyRequest(store.get(key)));
+    return entry || null;
+}
+
+/**
+ * Get the key, size and timestamp of every cache entry (without reading the cached data)
+ * @returns {Promise<Array<{key: string, size: number, timestamp: number}>>}
+ */
+export async function getEntryInfos() {
+    return withStore('readonly', (store, infoStore) => promisifyRequest(infoStore.getAll()));
+}
+
+/**
+ * Store a cache entry, evicting the oldest entries when space runs out
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to store (must contain a timestamp)
+ */
+export async function setEntry(key, entry) {
+    const record = { ...entry, key };
+    record.size = measureEntry(record);
+    
+    if (record.size > MAX_CACHE_BYTES) {
+        throw new Error(`Cache entry for ${key} is too large (${formatBytes(record.size)})`);
+    }
+    
+    await evictOldest(MAX_CACHE_BYTES - record.size, key);
+    
+    try {
+        await withStore('readwrite', (store, infoStore) => putRecord(store, infoStore, record));
+    } catch (error) {
+        if (error?.name !== 'QuotaExceededError') throw error;
+        
+        // The browser quota is lower than ours - free half of the cache and retry once
+        const usedBytes = await getTotalSize();
+        await evictOldest(Math.floor(usedBytes / 2), key);
+        await withStore('readwrite', (store, infoStore) => putRecord(store, infoStore, record));
+    }
+}
+
+/**
+ * Delete the oldest entries until the cache uses at most maxBytes
+ * @param {number} maxBytes - Space the remaining entries may use
+ * @param {string|null} skipKey - Key being replaced (not counted, not evicted)
+ * @returns {Promise<number>} Number of evicted entries
+ */
+async function evictOldest(maxBytes, skipKey = null) {
+    const entries = (await getEntryInfos())
+        .filter(entry => entry.key !== skipKey)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    
+    let usedBytes = entries.reduce((total, entry) => total + (entry.size || 0), 0);
+    const evicted = [];
+    
+    while (usedBytes > maxBytes && entries.length > 0) {
+        const oldest = entries.shift();
+        usedBytes -= oldest.size || 0;
+        evicted.push(oldest.key);
+    }
+    
+    if (evicted.length > 0) {
+        await withStore('readwrite', (store, infoStore) => deleteRecords(store, infoStore, evicted));
+        console.log(`Evicted ${evicted.length} cache entries to free space:`, evicted);
+    }
+    
+    return evicted.length;
+}
+
+/**
+ * Update an existing cache entry in place
+ * @param {string} key - Cache key
+ * @param {Function} updater - Receives the entry and returns the updated entry
+ */
+export async function updateEntry(key, updater) {
+    const entry = await getEntry(key);
+    if (!entry) return false;
+    
+    await withStore('readwrite', (store, infoStore) => putRecord(store, infoStore, { ...updater(entry), key }));
+    return true;
+}
+
+/**
+ * Delete all entries whose key matches a predicate
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export async function deleteEntries(predicate = () => true) {
+    const keys = (await withStore('readonly', store => promisifyRequest(store.getAllKeys())))
+        .filter(predicate);
+    
+    if (keys.length > 0) {
+        await withStore('readwrite', (store, infoStore) => deleteRecords(store, infoStore, keys));
+    }
+    
+    return keys.length;
+}
+
+/**
+ * Get the total size of the cache in bytes
+ */
+export async function getTotalSize() {
+    const entries = await getEntryInfos();
+    return entries.reduce((total, entry) => total + (entry.size || 0), 0);
+}
+
+/**
+ * Move cache entries left in localStorage by older versions into IndexedDB
+ * Failures are logged and the entries stay in localStorage for the next attempt
+ * @param {IDBDatabase} db - The database being opened
+ */
+async function migrateFromLocalStorage(db) {
+    const keys = Object.keys(localStorage).filter(key => key.startsWith(LEGACY_CACHE_PREFIX));
+    if (keys.length === 0) return;
+    
+    const records = [];
+    keys.forEach(key => {
+        try {
+            const entry = JSON.parse(localStorage.getItem(key));
+            if (entry && entry.data) {
+                const record = { ...entry, key };
+                record.size = measureEntry(record);
+                records.push(record);
+            }
+        } catch (error) {
+            console.error(`Cache migration error for ${key}:`, error);
+        }
+    });
+    
+    try {
+        const transaction = db.transaction([STORE_NAME, INFO_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const infoStore = transaction.objectStore(INFO_STORE_NAME);
+        records.forEach(record => {
+            store.put(record);
+            infoStore.put(getEntryInfo(record));
+        });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } catch (error) {
+        console.error('Cache migration error:', error);
+        return;
+    }
+    
+    keys.forEach(key => localStorage.removeItem(key));
+    console.log(`Migrated ${records.length} cache entries from localStorage to IndexedDB`);
+}
+
+/**
+ * Format a byte count for display
+ */
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,226 @@
+import { matchesPattern } from './classification.mjs';
+
+// Storage key for user-defined By Type categories
+const CATEGORIES_STORAGE_KEY = 'github_type_categories';
+const CATEGORIES_VERSION = 1;
+
+// Key of the category that collects items matching nothing else
+const FALLBACK_KEY = 'other';
+
+// Supported category rule fields and match modes
+const CATEGORY_FIELDS = ['type', 'kind', 'label', 'title'];
+const CATEGORY_MATCHES = ['exact', 'prefix', 'contains', 'regex', 'empty'];
+
+// Category icons are a short emoji or symbol (counted in code points, so ZWJ emoji sequences fit)
+const MAX_ICON_LENGTH = 8;
+
+// Default categories - the lanes the By Type view has always shown
+// Categories are matched in array order; "order" controls where the lane is displayed
+const DEFAULT_CATEGORIES = [
+    { key: 'prs', label: 'Pull Requests', icon: '🔀', order: 2, rules: [{ field: 'kind', match: 'exact', pattern: 'pr' }] },
+    { key: 'bug', label: 'Bugs', icon: '🐛', order: 1, rules: [{ field: 'type', match: 'exact', pattern: 'bug' }] },
+    { key: 'feature', label: 'Features', icon: '✨', order: 3, rules: [{ field: 'type', match: 'exact', pattern: 'feature' }] },
+    { key: 'task', label: 'Tasks', icon: '📋', order: 4, rules: [{ field: 'type', match: 'exact', pattern: 'task' }] },
+    { key: FALLBACK_KEY, label: 'Other', icon: '❓', order: 5, rules: [] }
+];
+
+// State
+let categorySet = loadCategorySet();
+
+/**
+ * Get the default category set
+ */
+export function getDefaultCategorySet() {
+    return {
+        version: CATEGORIES_VERSION,
+        categories: DEFAULT_CATEGORIES.map(category => ({
+            ...category,
+            rules: category.rules.map(rule => ({ ...rule }))
+        }))
+    };
+}
+
+/**
+ * Load the category set from localStorage (falls back to the defaults)
+ */
+function loadCategorySet() {
+    try {
+        const saved = localStorage.getItem(CATEGORIES_STORAGE_KEY);
+        if (saved) {
+            return validateCategorySet(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('Categories read error:', error);
+    }
+    return getDefaultCategorySet();
+}
+
+/**
+ * Get the active category set
+ */
+export function getCategorySet() {
+    return categorySet;
+}
+
+/**
+ * Validate a single category rule
+ */
+function validateCategoryRule(rule, location) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${location}: rule must be an object`);
+    }
+    
+    const match = rule.match || 'exact';
+    if (!CATEGORY_FIELDS.includes(rule.field)) {
+        throw new Error(`${location}: field must be one of ${CATEGORY_FIELDS.join(', ')}`);
+    }
+    if (!CATEGORY_MATCHES.includes(match)) {
+        throw new Error(`${location}: match must be one of ${CATEGORY_MATCHES.join(', ')}`);
+    }
+    if (match === 'empty') {
+        return { field: rule.field, match };
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+        throw new Error(`${location}: pattern must be a non-empty string`);
+    }
+    if (match === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            throw new Error(`${location}: invalid regex "${rule.pattern}" (${error.message})`);
+        }
+    }
+    
+    return { field: rule.field, match, pattern: rule.pattern };
+}
+
+/**
+ * Validate a category set and return a normalized copy
+ */
+export function validateCategorySet(candidate) {
+    if (!candidate || typeof candidate !== 'object' || !Array.isArray(candidate.categories)) {
+        throw new Error('Category set must be an object with a "categories" array');
+    }
+    
+    const keys = new Set();
+    const categories = candidate.categories.map((category, index) => {
+        const location = `categories[${index}]`;
+        if (!category || typeof category.key !== 'string' || category.key === '') {
+            throw new Error(`${location}: key must be a non-empty string`);
+        }
+        if (keys.has(category.key)) {
+            throw new Error(`${location}: duplicate key "${category.key}"`);
+        }
+        keys.add(category.key);
+        
+        const icon = category.icon ?? '';
+        if (typeof icon !== 'string' || [...icon].length > MAX_ICON_LENGTH || /[<>&"']/.test(icon)) {
+            throw new Error(`${location}: icon must be an emoji or symbol of at most ${MAX_ICON_LENGTH} characters`);
+        }
+        
+        return {
+            key: category.key,
+            label: typeof category.label === 'string' && category.label ? category.label : category.key,
+            icon,
+            order: Number.isFinite(category.order) ? category.order : index + 1,
+            rules: (category.rules || []).map((rule, ruleIndex) =>
+                validateCategoryRule(rule, `${location}.rules[${ruleIndex}]`))
+        };
+    });
+    
+    return { version: CATEGORIES_VERSION, categories };
+}
+
+/**
+ * Parse, validate and save a category set from JSON text
+ */
+export function importCategorySet(jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    categorySet = validateCategorySet(parsed);
+    localStorage.setItem(CATEGORIES_STORAGE_KEY, JSON.stringify(categorySet));
+    return categorySet;
+}
+
+/**
+ * Restore the default category set
+ */
+export function resetCategorySet() {
+    localStorage.removeItem(CATEGORIES_STORAGE_KEY);
+    categorySet = getDefaultCategorySet();
+    return categorySet;
+}
+
+/**
+ * Serialize the active category set for export
+ */
+export function exportCategorySet() {
+    return JSON.stringify(categorySet, null, 2);
+}
+
+/**
+ * Get the lowercased values of an item for a rule field
+ */
+function getFieldValues(item, field) {
+    switch (field) {
+        case 'type':
+            return [item.type || 'other'];
+        case 'kind':
+            return [item.pull_request ? 'pr' : 'issue'];
+        case 'label':
+            return (item.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+        case 'title':
+            return [(item.title || '').toLowerCase()];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check whether an item matches a category rule
+ */
+function matchesCategoryRule(item, rule) {
+    const values = getFieldValues(item, rule.field);
+    if (rule.match === 'empty') {
+        return values.length === 0 || values.every(value => value === '');
+    }
+    return values.some(value => matchesPattern(rule.match, rule.pattern, value));
+}
+
+/**
+ * Find the category of an item - the first category with a matching rule
+ */
+function findCategory(item, categories) {
+    return categories.find(category =>
+        category.rules.some(rule => matchesCategoryRule(item, rule))
+    );
+}
+
+/**
+ * Group items into the configured categories
+ * Items matching no category fall into "Other"
+ * @param {Array} items - Issues and PRs
+ * @returns {Array<{key, label, icon, items}>} Categories in display order (including empty ones)
+ */
+export function categorizeItems(items) {
+    const categories = categorySet.categories;
+    const fallback = categories.find(category => category.key === FALLBACK_KEY) ||
+        { key: FALLBACK_KEY, label: 'Other', icon: '❓', order: Number.MAX_SAFE_INTEGER, rules: [] };
+    
+    const groups = new Map([...categories, fallback].map(category => [category.key, []]));
+    
+    items.forEach(item => {
+        const category = findCategory(item, categories) || fallback;
+        groups.get(category.key).push(item);
+    });
+    
+    const displayCategories = categories.includes(fallback) ? categories : [...categories, fallback];
+    
+    return [...displayCategories]
+        .sort((a, b) => a.order - b.order)
+        .map(({ key, label, icon }) => ({ key, label, icon, items: groups.get(key) }));
+}
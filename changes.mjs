@@ -0,0 +1,400 @@
+import { escapeHtml, formatDate, getTotalReactions } from './shared.mjs';
+
+// Storage key of the last seen snapshot of each repository
+const LAST_SEEN_STORAGE_KEY = 'github_last_seen';
+const LAST_SEEN_VERSION = 1;
+
+// Snapshots the markers of this visit compare against (kept for the tab session, so reloads and view switches keep them)
+const VISIT_BASELINE_KEY = 'github_visit_baseline';
+
+// Storage key of the auto-refresh interval (minutes, 0 = off)
+const AUTO_REFRESH_KEY = 'githubAutoRefresh';
+
+// How long changed swimlanes pulse after an auto-refresh
+const PULSE_DURATION_MS = 3000;
+
+// Change markers shown on cards
+const CHANGE_BADGES = {
+    new: { label: '🆕 NEW', title: 'Opened since your last visit' },
+    updated: { label: '🔔 UPDATED', title: 'New comments or reactions since your last visit' },
+    closed: { label: '✅ CLOSED', title: 'Closed since your last visit' }
+};
+
+// State
+const snapshotStore = loadSnapshots();
+const visitBaseline = loadVisitBaseline();
+const repoChanges = new Map();
+const lastRecorded = new Map();
+let autoRefreshTimer = null;
+let refreshWhenVisible = false;
+let refreshing = false;
+
+/**
+ * Load the last seen snapshots from localStorage
+ * @returns {{version, repos: Object<string, {seenAt, items: Object<number, [comments, reactions, open]>}>}}
+ */
+function loadSnapshots() {
+    try {
+        const saved = localStorage.getItem(LAST_SEEN_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (parsed && parsed.version === LAST_SEEN_VERSION && parsed.repos) {
+                return parsed;
+            }
+        }
+    } catch (error) {
+        console.error('Last seen read error:', error);
+    }
+    return { version: LAST_SEEN_VERSION, repos: {} };
+}
+
+/**
+ * Save the last seen snapshots to localStorage
+ */
+function saveSnapshots() {
+    try {
+        localStorage.setItem(LAST_SEEN_STORAGE_KEY, JSON.stringify(snapshotStore));
+    } catch (error) {
+        console.error('Last seen write error:', error);
+    }
+}
+
+/**
+ * Load the baseline of this visit from sessionStorage (repository -> snapshot, or null for never seen)
+ */
+function loadVisitBaseline() {
+    try {
+        const saved = sessionStorage.getItem(VISIT_BASELINE_KEY);
+        if (saved) {
+            return JSON.parse(saved) || {};
+        }
+    } catch (error) {
+        console.error('Visit baseline read error:', error);
+    }
+    return {};
+}
+
+/**
+ * Save the baseline of this visit to sessionStorage
+ */
+function saveVisitBaseline() {
+    try {
+        sessionStorage.setItem(VISIT_BASELINE_KEY, JSON.stringify(visitBaseline));
+    } catch (error) {
+        console.error('Visit baseline write error:', error);
+    }
+}
+
+/**
+ * Get the snapshot a repository is compared against during this visit
+ * The first load of a visit takes the stored snapshot, before it is replaced by the new one
+ */
+function getVisitBaseline(repo) {
+    if (!(repo in visitBaseline)) {
+        visitBaseline[repo] = snapshotStore.repos[repo] || null;
+        saveVisitBaseline();
+    }
+    return visitBaseline[repo];
+}
+
+/**
+ * Get the key of an issue or PR across repositories (owner/repo#number)
+ */
+function getItemKey(repo, number) {
+    return `${repo}#${number}`;
+}
+
+/**
+ * Compare the items of a repository with its snapshot
+ * - new: opened after the snapshot
+ * - updated: more comments or reactions than in the snapshot
+ * - closed: open in the snapshot (or opened before it) and closed since
+ * @returns {{items: Map<number, {change, comments, reactions}>, closedMissing: Array<number>, seenAt}}
+ */
+function compareWithSnapshot(repoData, snapshot, includesOpen) {
+    const items = new Map();
+    const loaded = new Set();
+    
+    [...repoData.issues, ...repoData.pullRequests].forEach(item => {
+        loaded.add(String(item.number));
+        const previous = snapshot.items[item.number];
+        const createdAt = new Date(item.created_at).getTime();
+        const closedAt = item.closed_at ? new Date(item.closed_at).getTime() : 0;
+        
+        if (!previous) {
+            if (createdAt > snapshot.seenAt) {
+                items.set(item.number, { change: 'new' });
+            } else if (item.state === 'closed' && closedAt > snapshot.seenAt) {
+                items.set(item.number, { change: 'closed' });
+            }
+            return;
+        }
+        
+        const [comments, reactions, open] = previous;
+        if (open && item.state === 'closed') {
+            items.set(item.number, { change: 'closed' });
+            return;
+        }
+        
+        const newComments = (item.comments || 0) - comments;
+        const newReactions = getTotalReactions(item.reactions) - reactions;
+        if (newComments > 0 || newReactions > 0) {
+            items.set(item.number, { change: 'updated', comments: Math.max(newComments, 0), reactions: Math.max(newReactions, 0) });
+        }
+    });
+    
+    // Open items that are no longer loaded were closed (unless the load hit the page cap)
+    const closedMissing = includesOpen && !repoData.truncated ?
+        Object.entries(snapshot.items)
+            .filter(([number, [, , open]]) => open && !loaded.has(number))
+            .map(([number]) => Number(number)) :
+        [];
+    
+    return { items, closedMissing, seenAt: snapshot.seenAt };
+}
+
+/**
+ * Build the snapshot of a repository's loaded items
+ * Loads of closed items only are merged into the previous snapshot so open items aren't forgotten
+ */
+function buildSnapshot(repoData, previous, includesOpen) {
+    const items = includesOpen || !previous ? {} : { ...previous.items };
+    [...repoData.issues, ...repoData.pullRequests].forEach(item => {
+        items[item.number] = [item.comments || 0, getTotalReactions(item.reactions), item.state === 'open' ? 1 : 0];
+    });
+    return { seenAt: repoData._cacheTimestamp || Date.now(), items };
+}
+
+/**
+ * Record a loaded repository: mark what changed since the last visit and remember it for the next one
+ * @param {Object} repoData - Successful repository result
+ * @param {Object} query - The item query it was loaded with ({state, since})
+ * @returns {Array<string>} Keys (owner/repo#number) of the items that changed since the previous load of this visit
+ *   (empty on the first load) - used to pulse the swimlanes an auto-refresh changed
+ */
+export function recordRepositoryChanges(repoData, query) {
+    const { repo } = repoData;
+    const includesOpen = query.state !== 'closed';
+    const baseline = getVisitBaseline(repo);
+    
+    if (baseline) {
+        repoChanges.set(repo, compareWithSnapshot(repoData, baseline, includesOpen));
+    }
+    
+    snapshotStore.repos[repo] = buildSnapshot(repoData, snapshotStore.repos[repo], includesOpen);
+    saveSnapshots();
+    
+    // Compare with the previous load of this visit
+    const updates = new Map([...repoData.issues, ...repoData.pullRequests].map(item => [item.number, item.updated_at]));
+    const previous = lastRecorded.get(repo);
+    lastRecorded.set(repo, updates);
+    renderChangesSummary();
+    
+    if (!previous) return [];
+    const changed = [...updates].filter(([number, updatedAt]) => previous.get(number) !== updatedAt).map(([number]) => number);
+    const removed = [...previous.keys()].filter(number => !updates.has(number));
+    return [...changed, ...removed].map(number => getItemKey(repo, number));
+}
+
+/**
+ * Forget the changes of the previous load (call when loading a new set of repositories)
+ */
+export function resetChanges() {
+    repoChanges.clear();
+    lastRecorded.clear();
+    renderChangesSummary();
+}
+
+/**
+ * Get the change of an item since the last visit (null when unchanged)
+ */
+function getItemChange(item) {
+    const changes = repoChanges.get(item.repoName);
+    return changes ? changes.items.get(item.number) || null : null;
+}
+
+/**
+ * Get the attributes of a card that identify it for change markers and pulses
+ */
+export function getChangeAttributes(item) {
+    const change = getItemChange(item);
+    const key = `data-item-key="${escapeHtml(getItemKey(item.repoName, item.number))}" data-repo="${escapeHtml(item.repoName)}"`;
+    return change ? `${key} data-change="${change.change}"` : key;
+}
+
+/**
+ * Format the NEW / UPDATED / CLOSED badge of an item (empty when unchanged since the last visit)
+ */
+export function formatChangeBadge(item) {
+    const change = getItemChange(item);
+    if (!change) return '';
+    
+    const badge = CHANGE_BADGES[change.change];
+    let title = badge.title;
+    if (change.change === 'updated') {
+        const parts = [];
+        if (change.comments > 0) parts.push(`${change.comments} new comment${change.comments !== 1 ? 's' : ''}`);
+        if (change.reactions > 0) parts.push(`${change.reactions} new reaction${change.reactions !== 1 ? 's' : ''}`);
+        title = `${parts.join(', ')} since your last visit`;
+    }
+    return `<span class="change-badge change-${change.change}" title="${escapeHtml(title)}">${badge.label}</span>`;
+}
+
+/**
+ * Render the summary strip of the changes since the last visit (hidden when nothing changed)
+ */
+function renderChangesSummary() {
+    const summaryEl = document.getElementById('changesSummary');
+    if (!summaryEl) return;
+    
+    const counts = { new: 0, updated: 0, closed: 0 };
+    const closedMissing = [];
+    let seenAt = null;
+    repoChanges.forEach((changes, repo) => {
+        changes.items.forEach(({ change }) => {
+            counts[change]++;
+        });
+        changes.closedMissing.forEach(number => closedMissing.push({ repo, number }));
+        if (changes.items.size > 0 || changes.closedMissing.length > 0) {
+            seenAt = seenAt === null ? changes.seenAt : Math.min(seenAt, changes.seenAt);
+        }
+    });
+    counts.closed += closedMissing.length;
+    
+    if (seenAt === null) {
+        summaryEl.style.display = 'none';
+        summaryEl.innerHTML = '';
+        return;
+    }
+    
+    summaryEl.style.display = 'flex';
+    summaryEl.innerHTML = `
+        <span class="changes-summary-title" title="Compared with what was loaded on ${escapeHtml(new Date(seenAt).toLocaleString())}">👀 Since your last visit (${formatDate(new Date(seenAt).toISOString())}):</span>
+        <span class="change-count change-new">🆕 ${counts.new} new</span>
+        <span class="change-count change-updated">🔔 ${counts.updated} updated</span>
+        <span class="change-count change-closed">✅ ${counts.closed} closed</span>
+        ${closedMissing.length > 0 ? `
+            <details class="changes-closed-list">
+                <summary>${closedMissing.length} no longer loaded</summary>
+                ${closedMissing.map(({ repo, number }) => `
+                    <a href="https://github.com/${escapeHtml(repo)}/issues/${number}" target="_blank" rel="noopener noreferrer">${escapeHtml(repo)}#${number} ↗️</a>
+                `).join('')}
+            </details>
+        ` : ''}
+        <button type="button" class="mark-seen-btn" title="Clear the markers - the next comparison starts from now">✔️ Mark all as seen</button>
+    `;
+}
+
+/**
+ * Setup the summary strip of changes since the last visit
+ * @param {Function} onChange - Called after the markers were cleared (re-render the view)
+ */
+export function setupChangesSummary(onChange) {
+    const summaryEl = document.getElementById('changesSummary');
+    if (!summaryEl) return;
+    
+    summaryEl.addEventListener('click', (e) => {
+        if (!e.target.closest('.mark-seen-btn')) return;
+        
+        // The current snapshots become the baseline of this visit
+        repoChanges.forEach((changes, repo) => {
+            visitBaseline[repo] = snapshotStore.repos[repo] || null;
+        });
+        saveVisitBaseline();
+        repoChanges.clear();
+        renderChangesSummary();
+        onChange();
+    });
+}
+
+/**
+ * Pulse the swimlanes (or stats cards) that show items changed by an auto-refresh
+ * Items that are gone pulse their repository's swimlane, or the swimlanes showing the repository's other cards
+ * @param {Array<string>} keys - Keys returned by recordRepositoryChanges
+ */
+export function pulseChangedSwimlanes(keys) {
+    const swimlanes = new Set();
+    keys.forEach(key => {
+        const card = document.querySelector(`.item[data-item-key="${CSS.escape(key)}"]`);
+        if (card) {
+            const swimlane = card.closest('.swimlane, .stats-card');
+            if (swimlane) swimlanes.add(swimlane);
+            return;
+        }
+        
+        const repo = CSS.escape(key.slice(0, key.lastIndexOf('#')));
+        const repoSwimlane = document.querySelector(`.swimlane[data-repo="${repo}"]`);
+        const cards = repoSwimlane ? [repoSwimlane] : document.querySelectorAll(`.item[data-repo="${repo}"]`);
+        cards.forEach(element => {
+            const swimlane = element.closest('.swimlane, .stats-card');
+            if (swimlane) swimlanes.add(swimlane);
+        });
+    });
+    
+    swimlanes.forEach(swimlane => {
+        swimlane.classList.add('swimlane-changed');
+        setTimeout(() => swimlane.classList.remove('swimlane-changed'), PULSE_DURATION_MS);
+    });
+}
+
+/**
+ * Run a background refresh (one at a time, errors are only logged)
+ */
+async function runRefresh(onRefresh) {
+    if (refreshing) return;
+    refreshing = true;
+    try {
+        await onRefresh();
+    } catch (error) {
+        console.error('Auto-refresh error:', error);
+    } finally {
+        refreshing = false;
+    }
+}
+
+/**
+ * Start (or stop) the auto-refresh timer
+ * @param {Function} shouldRunHidden - Whether hidden tabs keep refreshing (true while desktop notifications are on)
+ */
+function scheduleAutoRefresh(minutes, onRefresh, shouldRunHidden) {
+    clearInterval(autoRefreshTimer);
+    autoRefreshTimer = null;
+    refreshWhenVisible = false;
+    if (!(minutes > 0)) return;
+    
+    autoRefreshTimer = setInterval(() => {
+        // Hidden tabs refresh once they are visible again, unless they have notifications to show
+        if (document.hidden && !shouldRunHidden()) {
+            refreshWhenVisible = true;
+            return;
+        }
+        runRefresh(onRefresh);
+    }, minutes * 60 * 1000);
+}
+
+/**
+ * Setup the auto-refresh interval setting
+ * @param {Function} onRefresh - Revalidates the loaded repositories in the background (async)
+ * @param {Function} shouldRunHidden - Whether to keep refreshing while the tab is hidden
+ */
+export function setupAutoRefresh(onRefresh, shouldRunHidden = () => false) {
+    const autoRefreshInput = document.getElementById('autoRefresh');
+    const saved = localStorage.getItem(AUTO_REFRESH_KEY) || '0';
+    
+    if (autoRefreshInput) {
+        autoRefreshInput.value = saved;
+        autoRefreshInput.addEventListener('change', () => {
+            localStorage.setItem(AUTO_REFRESH_KEY, autoRefreshInput.value);
+            scheduleAutoRefresh(Number(autoRefreshInput.value), onRefresh, shouldRunHidden);
+        });
+    }
+    
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && refreshWhenVisible) {
+            refreshWhenVisible = false;
+            runRefresh(onRefresh);
+        }
+    });
+    
+    scheduleAutoRefresh(Number(saved), onRefresh, shouldRunHidden);
+}
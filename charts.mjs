@@ -0,0 +1,162 @@
+import { escapeHtml } from './shared.mjs';
+
+// Chart colors (matching the GitHub dark palette used in styles.css)
+export const CHART_COLORS = {
+    blue: '#58a6ff',
+    green: '#3fb950',
+    red: '#f85149',
+    purple: '#a371f7',
+    yellow: '#e3b341',
+    grid: '#30363d',
+    text: '#8b949e'
+};
+
+// Space reserved around the plot area for axis labels
+const PADDING = { top: 20, right: 10, bottom: 40, left: 40 };
+
+// Number of horizontal grid steps (counts below this keep whole-number grid labels)
+const GRID_STEPS = 4;
+
+/**
+ * Get a "nice" axis maximum (1, 2, 5 x 10^n) so grid lines land on round numbers
+ */
+function getNiceMax(value) {
+    if (value <= GRID_STEPS) return GRID_STEPS;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const normalized = value / magnitude;
+    const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+    return nice * magnitude;
+}
+
+/**
+ * Render horizontal grid lines with value labels on the left
+ */
+function renderGrid(max, width, plotHeight) {
+    return Array.from({ length: GRID_STEPS + 1 }, (_, index) => {
+        const value = (max / GRID_STEPS) * index;
+        const y = PADDING.top + plotHeight - (value / max) * plotHeight;
+        const label = Number.isInteger(value) ? value : value.toFixed(1);
+        return `
+            <line x1="${PADDING.left}" y1="${y}" x2="${width - PADDING.right}" y2="${y}" stroke="${CHART_COLORS.grid}" stroke-width="1" />
+            <text x="${PADDING.left - 6}" y="${y + 4}" text-anchor="end" fill="${CHART_COLORS.text}" font-size="11">${label}</text>
+        `;
+    }).join('');
+}
+
+/**
+ * Render a vertical bar chart
+ * @param {Array<{label: string, value: number}>} data - Bars in display order
+ * @param {Object} options - { color, height }
+ * @returns {string} SVG markup
+ */
+export function renderBarChart(data, { color = CHART_COLORS.blue, height = 220 } = {}) {
+    if (data.length === 0) return '<div class="empty-state">No data</div>';
+    
+    const barSlot = 70;
+    const width = PADDING.left + PADDING.right + data.length * barSlot;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const max = getNiceMax(Math.max(...data.map(item => item.value)));
+    
+    const bars = data.map((item, index) => {
+        const barHeight = (item.value / max) * plotHeight;
+        const x = PADDING.left + index * barSlot + barSlot * 0.15;
+        const y = PADDING.top + plotHeight - barHeight;
+        const labelX = x + barSlot * 0.35;
+        return `
+            <rect x="${x}" y="${y}" width="${barSlot * 0.7}" height="${barHeight}" fill="${color}" rx="3">
+                <title>${escapeHtml(item.label)}: ${item.value}</title>
+            </rect>
+            <text x="${labelX}" y="${y - 5}" text-anchor="middle" fill="#c9d1d9" font-size="11">${item.value}</text>
+            <text x="${labelX}" y="${height - PADDING.bottom + 16}" text-anchor="middle" fill="${CHART_COLORS.text}" font-size="11">${escapeHtml(item.label)}</text>
+        `;
+    }).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet" role="img">
+            ${renderGrid(max, width, plotHeight)}
+            ${bars}
+        </svg>
+    `;
+}
+
+/**
+ * Render a horizontal bar chart (one row per label, e.g. per repository)
+ * @param {Array<{label: string, value: number, text?: string}>} data - Rows in display order
+ * @param {Object} options - { color, max }
+ * @returns {string} SVG markup
+ */
+export function renderHorizontalBarChart(data, { color = CHART_COLORS.blue, max = null } = {}) {
+    if (data.length === 0) return '<div class="empty-state">No data</div>';
+    
+    const rowHeight = 26;
+    const labelWidth = 220;
+    const barWidth = 320;
+    const width = labelWidth + barWidth + 80;
+    const height = data.length * rowHeight + 10;
+    const scaleMax = max || Math.max(...data.map(item => item.value)) || 1;
+    
+    const rows = data.map((item, index) => {
+        const y = 5 + index * rowHeight;
+        const length = Math.max(0, (item.value / scaleMax) * barWidth);
+        return `
+            <text x="${labelWidth - 8}" y="${y + 16}" text-anchor="end" fill="#c9d1d9" font-size="12">${escapeHtml(item.label)}</text>
+            <rect x="${labelWidth}" y="${y + 4}" width="${barWidth}" height="16" fill="${CHART_COLORS.grid}" rx="3" />
+            <rect x="${labelWidth}" y="${y + 4}" width="${length}" height="16" fill="${item.color || color}" rx="3">
+                <title>${escapeHtml(item.label)}: ${escapeHtml(item.text ?? String(item.value))}</title>
+            </rect>
+            <text x="${labelWidth + barWidth + 8}" y="${y + 16}" fill="${CHART_COLORS.text}" font-size="12">${escapeHtml(item.text ?? String(item.value))}</text>
+        `;
+    }).join('');
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet" role="img">
+            ${rows}
+        </svg>
+    `;
+}
+
+/**
+ * Render a line chart with one or more series sharing the same x labels
+ * @param {Array<string>} labels - X axis labels
+ * @param {Array<{name: string, color: string, values: Array<number>}>} series - Lines to draw
+ * @param {Object} options - { height }
+ * @returns {string} SVG markup with a legend
+ */
+export function renderLineChart(labels, series, { height = 240 } = {}) {
+    if (labels.length === 0) return '<div class="empty-state">No data</div>';
+    
+    const pointSpacing = 55;
+    const width = PADDING.left + PADDING.right + Math.max(1, labels.length - 1) * pointSpacing + 20;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const max = getNiceMax(Math.max(...series.flatMap(line => line.values)));
+    
+    const getX = index => PADDING.left + 10 + index * pointSpacing;
+    const getY = value => PADDING.top + plotHeight - (value / max) * plotHeight;
+    
+    const lines = series.map(line => {
+        const points = line.values.map((value, index) => `${getX(index)},${getY(value)}`).join(' ');
+        const dots = line.values.map((value, index) => `
+            <circle cx="${getX(index)}" cy="${getY(value)}" r="3.5" fill="${line.color}">
+                <title>${escapeHtml(line.name)} (${escapeHtml(labels[index])}): ${value}</title>
+            </circle>
+        `).join('');
+        return `<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2" />${dots}`;
+    }).join('');
+    
+    const xLabels = labels.map((label, index) => `
+        <text x="${getX(index)}" y="${height - PADDING.bottom + 16}" text-anchor="middle" fill="${CHART_COLORS.text}" font-size="10">${escapeHtml(label)}</text>
+    `).join('');
+    
+    const legend = series.map(line =>
+        `<span class="chart-legend-item"><span class="chart-legend-swatch" style="background: ${line.color}"></span>${escapeHtml(line.name)}</span>`
+    ).join('');
+    
+    return `
+        <div class="chart-legend">${legend}</div>
+        <svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMinYMin meet" role="img">
+            ${renderGrid(max, width, plotHeight)}
+            ${xLabels}
+            ${lines}
+        </svg>
+    `;
+}
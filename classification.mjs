@@ -0,0 +1,216 @@
+// Storage key for user-defined classification rules
+const RULES_STORAGE_KEY = 'github_classification_rules';
+const RULES_VERSION = 1;
+
+// Types a rule can assign
+export const CLASSIFICATION_TYPES = ['bug', 'feature', 'task', 'other'];
+
+// Supported rule fields and match modes
+const RULE_FIELDS = ['label', 'title'];
+const RULE_MATCHES = ['exact', 'prefix', 'contains', 'regex'];
+
+/**
+ * Build a list of rules sharing the same type and field
+ */
+function buildRules(type, field, match, patterns) {
+    return patterns.map(pattern => ({ type, field, match, pattern }));
+}
+
+// Default rules - equivalent to the labels the tracker has always recognized
+const DEFAULT_RULES = [
+    ...buildRules('bug', 'label', 'exact', ['bug', 'bugs', 'fix']),
+    ...buildRules('bug', 'label', 'prefix', ['bug:', 'bug ', 'fix:', 'fix ']),
+    ...buildRules('bug', 'label', 'contains', ['defect', 'error']),
+    ...buildRules('feature', 'label', 'exact', ['feature', 'features', 'enhancement', 'enhancements', 'improvement', 'feat']),
+    ...buildRules('feature', 'label', 'prefix', ['feature:', 'feature ', 'enhancement:', 'enhancement ', 'improvement:', 'improvement ', 'feat:', 'feat ']),
+    ...buildRules('task', 'label', 'exact', ['task', 'tasks']),
+    ...buildRules('task', 'label', 'prefix', ['task:', 'task '])
+];
+
+// State
+let ruleSet = loadRuleSet();
+const regexCache = new Map();
+
+/**
+ * Get the default rule set
+ */
+export function getDefaultRuleSet() {
+    return {
+        version: RULES_VERSION,
+        rules: DEFAULT_RULES.map(rule => ({ ...rule })),
+        repos: {}
+    };
+}
+
+/**
+ * Load the rule set from localStorage (falls back to the defaults)
+ */
+function loadRuleSet() {
+    try {
+        const saved = localStorage.getItem(RULES_STORAGE_KEY);
+        if (saved) {
+            return validateRuleSet(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('Classification rules read error:', error);
+    }
+    return getDefaultRuleSet();
+}
+
+/**
+ * Get the active rule set
+ */
+export function getRuleSet() {
+    return ruleSet;
+}
+
+/**
+ * Validate a single rule, throwing a descriptive error when invalid
+ */
+function validateRule(rule, location) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`${location}: rule must be an object`);
+    }
+    if (!CLASSIFICATION_TYPES.includes(rule.type)) {
+        throw new Error(`${location}: type must be one of ${CLASSIFICATION_TYPES.join(', ')}`);
+    }
+    
+    const field = rule.field || 'label';
+    const match = rule.match || 'exact';
+    if (!RULE_FIELDS.includes(field)) {
+        throw new Error(`${location}: field must be one of ${RULE_FIELDS.join(', ')}`);
+    }
+    if (!RULE_MATCHES.includes(match)) {
+        throw new Error(`${location}: match must be one of ${RULE_MATCHES.join(', ')}`);
+    }
+    if (typeof rule.pattern !== 'string' || rule.pattern === '') {
+        throw new Error(`${location}: pattern must be a non-empty string`);
+    }
+    if (match === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            throw new Error(`${location}: invalid regex "${rule.pattern}" (${error.message})`);
+        }
+    }
+    
+    return { type: rule.type, field, match, pattern: rule.pattern };
+}
+
+/**
+ * Validate a rule set and return a normalized copy
+ */
+export function validateRuleSet(candidate) {
+    if (!candidate || typeof candidate !== 'object' || !Array.isArray(candidate.rules)) {
+        throw new Error('Rule set must be an object with a "rules" array');
+    }
+    
+    const repos = {};
+    Object.entries(candidate.repos || {}).forEach(([repo, rules]) => {
+        if (!repo.includes('/') || !Array.isArray(rules)) {
+            throw new Error(`repos["${repo}"] must be an array of rules for an owner/repo`);
+        }
+        repos[repo] = rules.map((rule, index) => validateRule(rule, `repos["${repo}"][${index}]`));
+    });
+    
+    return {
+        version: RULES_VERSION,
+        rules: candidate.rules.map((rule, index) => validateRule(rule, `rules[${index}]`)),
+        repos
+    };
+}
+
+/**
+ * Save a rule set to localStorage and make it active
+ */
+export function saveRuleSet(candidate) {
+    ruleSet = validateRuleSet(candidate);
+    regexCache.clear();
+    localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(ruleSet));
+    return ruleSet;
+}
+
+/**
+ * Restore the default rule set
+ */
+export function resetRuleSet() {
+    localStorage.removeItem(RULES_STORAGE_KEY);
+    ruleSet = getDefaultRuleSet();
+    regexCache.clear();
+    return ruleSet;
+}
+
+/**
+ * Parse a rule set from imported JSON text
+ */
+export function importRuleSet(jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    return saveRuleSet(parsed);
+}
+
+/**
+ * Serialize the active rule set for export
+ */
+export function exportRuleSet() {
+    return JSON.stringify(ruleSet, null, 2);
+}
+
+/**
+ * Check whether a lowercased value matches a rule
+ */
+function matchesRule(rule, value) {
+    return matchesPattern(rule.match, rule.pattern, value);
+}
+
+/**
+ * Check whether a lowercased value matches a pattern (exact, prefix, contains or regex)
+ */
+export function matchesPattern(match, rawPattern, value) {
+    const pattern = rawPattern.toLowerCase();
+    
+    switch (match) {
+        case 'exact':
+            return value === pattern;
+        case 'prefix':
+            return value.startsWith(pattern);
+        case 'contains':
+            return value.includes(pattern);
+        case 'regex': {
+            if (!regexCache.has(rawPattern)) {
+                regexCache.set(rawPattern, new RegExp(rawPattern, 'i'));
+            }
+            return regexCache.get(rawPattern).test(value);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Classify labels and title with the rule set
+ * Repository overrides are checked before the global rules; the first matching rule wins
+ * @param {Array<string>} labels - Label names of the item
+ * @param {string} title - Item title
+ * @param {string|null} repo - Repository (owner/repo) for per-repo overrides
+ * @returns {string|null} The matched type, or null when no rule matches
+ */
+export function classifyByRules(labels, title, repo = null) {
+    const lowerLabels = labels.map(label => label.toLowerCase());
+    const lowerTitle = (title || '').toLowerCase();
+    const rules = [...((repo && ruleSet.repos[repo]) || []), ...ruleSet.rules];
+    
+    for (const rule of rules) {
+        const matched = rule.field === 'title' ?
+            matchesRule(rule, lowerTitle) :
+            lowerLabels.some(label => matchesRule(rule, label));
+        
+        if (matched) return rule.type;
+    }
+    
+    return null;
+}
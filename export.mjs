@@ -0,0 +1,179 @@
+import { downloadFile, formatDate, getTotalReactions } from './shared.mjs';
+import { getActiveFilters, hasActiveFilters } from './filters.mjs';
+
+// Columns of the CSV export (and keys of the normalized JSON items)
+const EXPORT_COLUMNS = [
+    'group', 'repo', 'number', 'kind', 'title', 'type', 'state', 'labels', 'milestone',
+    'author', 'assignees', 'created_at', 'updated_at', 'closed_at', 'comments', 'reactions', 'url'
+];
+
+// Filter value for items without a milestone / assignee (see filters.mjs)
+const NONE_VALUE = '__none__';
+
+// Export formats offered in the menu
+const EXPORT_FORMATS = [
+    { key: 'csv', label: '📊 CSV', extension: 'csv', mimeType: 'text/csv' },
+    { key: 'json', label: '🧾 JSON', extension: 'json', mimeType: 'application/json' },
+    { key: 'markdown', label: '📝 Markdown report', extension: 'md', mimeType: 'text/markdown' }
+];
+
+/**
+ * Normalize an issue or PR for export (flat fields, label names only)
+ * @param {Object} item - Classified issue or PR
+ * @param {string} group - Title of the view group (swimlane) the item is shown in
+ */
+export function normalizeItem(item, group = '') {
+    return {
+        group,
+        repo: item.repoName,
+        number: item.number,
+        kind: item.pull_request ? 'pr' : 'issue',
+        title: item.title,
+        type: item.type,
+        state: item.state,
+        labels: (item.labels || []).map(label => typeof label === 'string' ? label : label.name),
+        milestone: item.milestone ? item.milestone.title : null,
+        author: item.user ? item.user.login : null,
+        assignees: (item.assignees || []).map(assignee => assignee.login),
+        created_at: item.created_at,
+        updated_at: item.updated_at,
+        closed_at: item.closed_at || null,
+        comments: item.comments || 0,
+        reactions: getTotalReactions(item.reactions),
+        url: item.html_url
+    };
+}
+
+/**
+ * Normalize the items of every group
+ * @param {Array<{title, items}>} groups - Groups in view order
+ */
+function normalizeGroups(groups) {
+    return groups.flatMap(group => group.items.map(item => normalizeItem(item, group.title)));
+}
+
+/**
+ * Quote a CSV field when needed
+ * Values that spreadsheets would run as formulas (=, +, -, @) are prefixed with a quote
+ */
+function toCsvField(value) {
+    let text = Array.isArray(value) ? value.join('; ') : value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export groups as CSV (one row per item, in view order)
+ */
+export function exportCsv(groups) {
+    const rows = normalizeGroups(groups).map(item => EXPORT_COLUMNS.map(column => toCsvField(item[column])).join(','));
+    return [EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Export groups as normalized JSON
+ * @param {string} view - Name of the current view
+ */
+export function exportJson(view, groups) {
+    return JSON.stringify({
+        view,
+        exported_at: new Date().toISOString(),
+        url: window.location.href,
+        filters: hasActiveFilters() ? getActiveFilters() : null,
+        items: normalizeGroups(groups)
+    }, null, 2);
+}
+
+/**
+ * Escape text for a Markdown table cell
+ */
+function escapeMarkdownCell(text) {
+    return String(text ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/[\r\n]+/g, ' ');
+}
+
+/**
+ * Describe the active filters for the report header
+ */
+function describeFilters() {
+    const filters = getActiveFilters();
+    const describeValue = value => value === NONE_VALUE ? 'none' : value;
+    const parts = [];
+    if (filters.text) parts.push(`text "${filters.text}"`);
+    if (filters.labels.length > 0) parts.push(`labels ${filters.labels.join(', ')}`);
+    if (filters.milestone) parts.push(`milestone ${describeValue(filters.milestone)}`);
+    if (filters.assignee) parts.push(`assignee ${describeValue(filters.assignee)}`);
+    if (filters.author) parts.push(`author ${filters.author}`);
+    if (filters.state) parts.push(`state ${filters.state}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Export groups as a Markdown report with one section (table) per group
+ * @param {string} view - Name of the current view
+ */
+export function exportMarkdown(view, groups) {
+    const nonEmpty = groups.filter(group => group.items.length > 0);
+    const total = nonEmpty.reduce((sum, group) => sum + group.items.length, 0);
+    const filters = hasActiveFilters() ? describeFilters() : '';
+    
+    const lines = [
+        `# GitHub Issues Report - ${view}`,
+        '',
+        `_Exported ${formatDate(new Date().toISOString())} · ${total} item${total !== 1 ? 's' : ''}${filters ? ` · Filters: ${escapeMarkdownCell(filters)}` : ''}_`,
+        ''
+    ];
+    
+    nonEmpty.forEach(group => {
+        lines.push(`## ${group.title} (${group.items.length})`, '');
+        lines.push('| Item | Title | Type | State | Labels | Milestone | Created | Updated | 💬 | ❤️ |');
+        lines.push('| --- | --- | --- | --- | --- | --- | --- | --- | ---: | ---: |');
+        group.items.map(item => normalizeItem(item)).forEach(item => {
+            const state = item.closed_at ? `${item.state} (${formatDate(item.closed_at)})` : item.state;
+            lines.push(`| [${item.repo}#${item.number}](${item.url}) | ${escapeMarkdownCell(item.title)} | ${item.kind === 'pr' ? `PR (${item.type})` : item.type} | ${state} | ${escapeMarkdownCell(item.labels.join(', '))} | ${escapeMarkdownCell(item.milestone || '')} | ${formatDate(item.created_at)} | ${formatDate(item.updated_at)} | ${item.comments} | ${item.reactions} |`);
+        });
+        lines.push('');
+    });
+    
+    if (nonEmpty.length === 0) {
+        lines.push('No issues or PRs.', '');
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * Setup the Export menu in the filter bar (call after setupFilterBar)
+ * @param {string} view - Name of the view, used in the report title
+ * @param {Function} getGroups - Returns the visible (filtered) items grouped and sorted as in the view: [{title, items}]
+ */
+export function setupExportMenu(view, getGroups) {
+    const row = document.querySelector('#filterBar .filter-bar-row');
+    if (!row) return;
+    
+    const menu = document.createElement('details');
+    menu.className = 'filter-dropdown export-menu';
+    menu.innerHTML = `
+        <summary title="Download the visible issues and PRs">📤 Export</summary>
+        <div class="filter-dropdown-content">
+            ${EXPORT_FORMATS.map(format => `<button type="button" class="export-option" data-format="${format.key}">${format.label}</button>`).join('')}
+        </div>
+    `;
+    row.insertBefore(menu, row.querySelector('#clearFiltersBtn'));
+    
+    menu.addEventListener('click', (e) => {
+        const button = e.target.closest('.export-option');
+        if (!button) return;
+        
+        const format = EXPORT_FORMATS.find(option => option.key === button.dataset.format);
+        const groups = getGroups();
+        const content = format.key === 'csv' ? exportCsv(groups) :
+            format.key === 'json' ? exportJson(view, groups) :
+            exportMarkdown(view, groups);
+        
+        const date = new Date().toISOString().slice(0, 10);
+        downloadFile(`github-issues-${date}.${format.extension}`, content, format.mimeType);
+        menu.open = false;
+    });
+}
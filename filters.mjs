@@ -0,0 +1,360 @@
+import { escapeHtml, updateViewSwitcherLinks } from './shared.mjs';
+import { SORT_ORDERS, getActiveSort, setActiveSort } from './sorting.mjs';
+import { isBoardMode, setBoardMode, prepareBoard } from './board.mjs';
+
+// Query string parameters used to store filters
+const FILTER_PARAMS = {
+    text: 'q',
+    labels: 'labels',
+    milestone: 'milestone',
+    assignee: 'assignee',
+    author: 'author',
+    state: 'is'
+};
+
+// Special option value for items without a milestone / assignee
+const NONE_VALUE = '__none__';
+
+// Debounce delay for the text search input (ms)
+const TEXT_INPUT_DELAY_MS = 200;
+
+// State
+let activeFilters = getFiltersFromQueryString();
+let onFiltersChange = null;
+let lastItems = null;
+
+/**
+ * Get an empty filter set
+ */
+function getEmptyFilters() {
+    return {
+        text: '',
+        labels: [],
+        milestone: '',
+        assignee: '',
+        author: '',
+        state: ''
+    };
+}
+
+/**
+ * Read filters from the query string
+ */
+export function getFiltersFromQueryString() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = getEmptyFilters();
+    
+    filters.text = params.get(FILTER_PARAMS.text) || '';
+    filters.labels = (params.get(FILTER_PARAMS.labels) || '').split(',').map(l => l.trim()).filter(l => l);
+    filters.milestone = params.get(FILTER_PARAMS.milestone) || '';
+    filters.assignee = params.get(FILTER_PARAMS.assignee) || '';
+    filters.author = params.get(FILTER_PARAMS.author) || '';
+    filters.state = params.get(FILTER_PARAMS.state) || '';
+    
+    return filters;
+}
+
+/**
+ * Store filters in the query string (next to repos=)
+ */
+function saveFiltersToQueryString(filters) {
+    const url = new URL(window.location);
+    
+    Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+        const value = key === 'labels' ? filters.labels.join(',') : filters[key];
+        if (value) {
+            url.searchParams.set(param, value);
+        } else {
+            url.searchParams.delete(param);
+        }
+    });
+    
+    window.history.replaceState({}, '', url);
+    updateViewSwitcherLinks();
+}
+
+/**
+ * Get the currently active filters
+ */
+export function getActiveFilters() {
+    return activeFilters;
+}
+
+/**
+ * Check whether any filter is active
+ */
+export function hasActiveFilters(filters = activeFilters) {
+    return Boolean(filters.text || filters.labels.length > 0 || filters.milestone ||
+        filters.assignee || filters.author || filters.state);
+}
+
+/**
+ * Get the label names of an item
+ */
+function getLabelNames(item) {
+    return (item.labels || []).map(label => typeof label === 'string' ? label : label.name);
+}
+
+/**
+ * Get the assignee logins of an item
+ */
+function getAssigneeLogins(item) {
+    if (item.assignees && item.assignees.length > 0) {
+        return item.assignees.map(assignee => assignee.login);
+    }
+    return item.assignee ? [item.assignee.login] : [];
+}
+
+/**
+ * Check whether an item matches a filter set
+ */
+export function matchesFilters(item, filters = activeFilters) {
+    if (filters.text) {
+        const haystack = `${item.title} ${item.body || ''} #${item.number}`.toLowerCase();
+        const terms = filters.text.toLowerCase().split(/\s+/).filter(t => t);
+        if (!terms.every(term => haystack.includes(term))) return false;
+    }
+    
+    // Like GitHub, an item must carry every selected label
+    if (filters.labels.length > 0) {
+        const labels = getLabelNames(item);
+        if (!filters.labels.every(label => labels.includes(label))) return false;
+    }
+    
+    if (filters.milestone) {
+        const milestone = item.milestone ? item.milestone.title : NONE_VALUE;
+        if (milestone !== filters.milestone) return false;
+    }
+    
+    if (filters.assignee) {
+        const assignees = getAssigneeLogins(item);
+        if (filters.assignee === NONE_VALUE ? assignees.length > 0 : !assignees.includes(filters.assignee)) {
+            return false;
+        }
+    }
+    
+    if (filters.author && item.user?.login !== filters.author) return false;
+    
+    if (filters.state && item.state !== filters.state) return false;
+    
+    return true;
+}
+
+/**
+ * Filter a list of items with the active filters
+ */
+export function filterItems(items, filters = activeFilters) {
+    if (!hasActiveFilters(filters)) return items;
+    return items.filter(item => matchesFilters(item, filters));
+}
+
+/**
+ * Filter the issues and PRs of a repository result
+ */
+export function filterRepoData(repoData, filters = activeFilters) {
+    return {
+        ...repoData,
+        issues: filterItems(repoData.issues, filters),
+        pullRequests: filterItems(repoData.pullRequests, filters)
+    };
+}
+
+/**
+ * Count how many items have each value
+ */
+function countValues(items, getValues) {
+    const counts = new Map();
+    items.forEach(item => {
+        getValues(item).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+    return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Render the options of a select filter
+ */
+function renderSelectOptions(allLabel, counts, selected, noneLabel = null) {
+    // Keep a selected value from the URL even if no loaded item has it
+    if (selected && selected !== NONE_VALUE && !counts.some(([value]) => value === selected)) {
+        counts = [...counts, [selected, 0]];
+    }
+    
+    const options = counts.map(([value, count]) =>
+        `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)} (${count})</option>`
+    ).join('');
+    
+    const noneOption = noneLabel ?
+        `<option value="${NONE_VALUE}" ${selected === NONE_VALUE ? 'selected' : ''}>${noneLabel}</option>` : '';
+    
+    return `<option value="">${allLabel}</option>${noneOption}${options}`;
+}
+
+/**
+ * Setup the filter bar
+ * @param {Function} onChange - Called with the new filters whenever they change
+ * @param {Object} options - { itemControls: false } hides the sort order and board toggle (for views without cards)
+ */
+export function setupFilterBar(onChange, { itemControls = true } = {}) {
+    onFiltersChange = onChange;
+    
+    const filterBar = document.getElementById('filterBar');
+    if (!filterBar) return;
+    
+    filterBar.innerHTML = `
+        <div class="filter-bar-row">
+            <input type="search" id="filterText" placeholder="🔍 Search title, body or #number" value="${escapeHtml(activeFilters.text)}">
+            <details class="filter-dropdown" id="filterLabels">
+                <summary>🏷️ Labels</summary>
+                <div class="filter-dropdown-content"></div>
+            </details>
+            <select id="filterMilestone" title="Milestone"></select>
+            <select id="filterAssignee" title="Assignee"></select>
+            <select id="filterAuthor" title="Author"></select>
+            <select id="filterState" title="State">
+                <option value="">Any state</option>
+                <option value="open" ${activeFilters.state === 'open' ? 'selected' : ''}>🟢 Open</option>
+                <option value="closed" ${activeFilters.state === 'closed' ? 'selected' : ''}>🔴 Closed</option>
+            </select>
+            ${itemControls ? `
+                <select id="sortOrder" title="Sort order">
+                    <option value="">↕️ Default order</option>
+                    ${SORT_ORDERS.map(order => `<option value="${order.key}" ${getActiveSort() === order.key ? 'selected' : ''}>${order.label}</option>`).join('')}
+                </select>
+                <label class="filter-toggle" title="Show items as a board with columns from status labels or a project">
+                    <input type="checkbox" id="boardMode" ${isBoardMode() ? 'checked' : ''}> 🗂️ Board
+                </label>
+            ` : ''}
+            <button id="clearFiltersBtn" class="clear-filters-btn">✖ Clear filters</button>
+        </div>
+        <div class="filter-summary" id="filterSummary"></div>
+    `;
+    
+    let textTimeout = null;
+    filterBar.querySelector('#filterText').addEventListener('input', (e) => {
+        clearTimeout(textTimeout);
+        textTimeout = setTimeout(() => updateFilters({ text: e.target.value.trim() }), TEXT_INPUT_DELAY_MS);
+    });
+    
+    const selects = {
+        filterMilestone: 'milestone',
+        filterAssignee: 'assignee',
+        filterAuthor: 'author',
+        filterState: 'state'
+    };
+    Object.entries(selects).forEach(([id, key]) => {
+        filterBar.querySelector(`#${id}`).addEventListener('change', (e) => {
+            updateFilters({ [key]: e.target.value });
+        });
+    });
+    
+    // Sorting isn't a filter: it is kept when filters are cleared
+    filterBar.querySelector('#sortOrder')?.addEventListener('change', (e) => {
+        setActiveSort(e.target.value);
+        if (onFiltersChange) {
+            onFiltersChange(activeFilters);
+        }
+    });
+    
+    filterBar.querySelector('#boardMode')?.addEventListener('change', async (e) => {
+        setBoardMode(e.target.checked);
+        await prepareBoard();
+        if (onFiltersChange) {
+            onFiltersChange(activeFilters);
+        }
+    });
+    
+    filterBar.querySelector('#filterLabels').addEventListener('change', (e) => {
+        if (!e.target.matches('input[type="checkbox"]')) return;
+        const checked = [...filterBar.querySelectorAll('#filterLabels input:checked')].map(input => input.value);
+        updateFilters({ labels: checked });
+    });
+    
+    filterBar.querySelector('#clearFiltersBtn').addEventListener('click', () => {
+        activeFilters = getEmptyFilters();
+        filterBar.querySelector('#filterText').value = '';
+        filterBar.querySelector('#filterState').value = '';
+        updateFilters({});
+    });
+}
+
+/**
+ * Merge changes into the active filters, persist them and notify the view
+ */
+function updateFilters(changes) {
+    activeFilters = { ...activeFilters, ...changes };
+    saveFiltersToQueryString(activeFilters);
+    if (lastItems) {
+        updateFilterOptions(lastItems);
+    }
+    if (onFiltersChange) {
+        onFiltersChange(activeFilters);
+    }
+}
+
+/**
+ * Populate the filter options from the loaded items
+ * @param {Array} items - All loaded issues and PRs
+ */
+export function updateFilterOptions(items) {
+    lastItems = items;
+    
+    const filterBar = document.getElementById('filterBar');
+    if (!filterBar || !filterBar.querySelector('#filterText')) return;
+    
+    filterBar.style.display = items.length > 0 ? 'block' : 'none';
+    
+    // Labels (union of all labels, with counts)
+    const labelCounts = countValues(items, getLabelNames);
+    activeFilters.labels.filter(label => !labelCounts.some(([name]) => name === label))
+        .forEach(label => labelCounts.push([label, 0]));
+    const labelsDropdown = filterBar.querySelector('#filterLabels');
+    labelsDropdown.querySelector('summary').textContent = activeFilters.labels.length > 0 ?
+        `🏷️ Labels (${activeFilters.labels.length})` : '🏷️ Labels';
+    labelsDropdown.querySelector('.filter-dropdown-content').innerHTML = labelCounts.length > 0 ?
+        labelCounts.map(([name, count]) => `
+            <label class="filter-option">
+                <input type="checkbox" value="${escapeHtml(name)}" ${activeFilters.labels.includes(name) ? 'checked' : ''}>
+                <span>${escapeHtml(name)} (${count})</span>
+            </label>
+        `).join('') : '<div class="filter-option">No labels</div>';
+    
+    filterBar.querySelector('#filterMilestone').innerHTML = renderSelectOptions(
+        '🎯 Any milestone',
+        countValues(items, item => item.milestone ? [item.milestone.title] : []),
+        activeFilters.milestone,
+        'No milestone'
+    );
+    filterBar.querySelector('#filterAssignee').innerHTML = renderSelectOptions(
+        '👥 Any assignee',
+        countValues(items, getAssigneeLogins),
+        activeFilters.assignee,
+        'Unassigned'
+    );
+    filterBar.querySelector('#filterAuthor').innerHTML = renderSelectOptions(
+        '👤 Any author',
+        countValues(items, item => item.user ? [item.user.login] : []),
+        activeFilters.author
+    );
+    
+    updateFilterSummary(items);
+}
+
+/**
+ * Update the "showing X of Y" summary
+ */
+function updateFilterSummary(items) {
+    const summary = document.getElementById('filterSummary');
+    const clearBtn = document.getElementById('clearFiltersBtn');
+    if (!summary) return;
+    
+    const active = hasActiveFilters();
+    const visible = active ? items.filter(item => matchesFilters(item)).length : items.length;
+    
+    summary.textContent = active ?
+        `Showing ${visible} of ${items.length} issues & PRs` :
+        `${items.length} issues & PRs`;
+    
+    if (clearBtn) {
+        clearBtn.disabled = !active;
+    }
+}
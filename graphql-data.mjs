@@ -0,0 +1,255 @@
+// REST API base, used for the REST URLs kept on normalized items (comments_url, pull_request.url)
+const GITHUB_API_BASE = 'https://api.github.com';
+
+// Repositories fetched per GraphQL query, and issues / PRs per connection page
+export const GRAPHQL_BATCH_SIZE = 10;
+const GRAPHQL_PAGE_SIZE = 100;
+
+// Stand-in for deleted accounts - GraphQL returns a null author where REST returns this user
+const GHOST_USER = { login: 'ghost', avatar_url: '', html_url: 'https://github.com/ghost' };
+
+// GraphQL reaction contents and their REST keys
+const REACTION_KEYS = {
+    THUMBS_UP: '+1',
+    THUMBS_DOWN: '-1',
+    LAUGH: 'laugh',
+    HOORAY: 'hooray',
+    CONFUSED: 'confused',
+    HEART: 'heart',
+    ROCKET: 'rocket',
+    EYES: 'eyes'
+};
+
+// Fields shared by issues and pull requests
+const ITEM_FIELDS = `
+    id databaseId number title body url state createdAt updatedAt closedAt
+    author { login avatarUrl url }
+    assignees(first: 10) { nodes { login avatarUrl url } }
+    labels(first: 20) { nodes { name color description } }
+    milestone {
+        number title description dueOn url state
+        openIssues: issues(states: OPEN) { totalCount }
+        closedIssues: issues(states: CLOSED) { totalCount }
+    }
+    comments { totalCount }
+    reactionGroups { content reactors { totalCount } }
+`;
+const ISSUE_FIELDS = `${ITEM_FIELDS} stateReason issueType { name }`;
+const PULL_REQUEST_FIELDS = `${ITEM_FIELDS} isDraft mergedAt`;
+
+// Review, CI and mergeability details (the REST path needs about 4 requests per PR for these)
+const PULL_REQUEST_DETAIL_FIELDS = `
+    headRefName baseRefName mergeable
+    reviewRequests(first: 10) {
+        nodes { requestedReviewer { ... on User { login } ... on Team { slug } ... on Mannequin { login } } }
+    }
+    latestOpinionatedReviews(first: 20) { nodes { state } }
+    commits(last: 1) { nodes { commit { statusCheckRollup { state } } } }
+`;
+
+/**
+ * Get the alias of the n-th repository of a batch query
+ */
+export function getRepositoryAlias(index) {
+    return `repo${index}`;
+}
+
+/**
+ * Get the GraphQL states argument of a load ('all' has none)
+ */
+function getStatesArgument(state, isPullRequest) {
+    if (state === 'open') return 'states: [OPEN]';
+    if (state === 'closed') return isPullRequest ? 'states: [CLOSED, MERGED]' : 'states: [CLOSED]';
+    return '';
+}
+
+/**
+ * Build one issues or pullRequests connection of a repository
+ * Items are ordered by last update so loads with since= can stop at the first older page
+ */
+function buildConnection(field, fields, cursor, { state, since }) {
+    const isPullRequest = field === 'pullRequests';
+    const args = [
+        `first: ${GRAPHQL_PAGE_SIZE}`,
+        cursor ? `after: ${JSON.stringify(cursor)}` : '',
+        getStatesArgument(state, isPullRequest),
+        'orderBy: { field: UPDATED_AT, direction: DESC }',
+        // Pull requests have no since filter - older pages are skipped while paging
+        since && !isPullRequest ? `filterBy: { since: ${JSON.stringify(new Date(since).toISOString())} }` : ''
+    ].filter(arg => arg);
+    
+    return `${field}(${args.join(', ')}) {
+        pageInfo { hasNextPage endCursor }
+        nodes { ${fields} }
+    }`;
+}
+
+/**
+ * Build a query that loads the next page of issues and PRs of several repositories at once
+ * @param {Array<{owner, name, issues, pullRequests}>} requests - issues / pullRequests are { cursor }
+ *   for the connections that still need a page, or null when they are complete
+ * @param {Object} options - { state, since, prDetails: include review, CI and mergeability details }
+ * @returns {string} The query - each repository is aliased with getRepositoryAlias(index)
+ */
+export function buildRepositoriesQuery(requests, { state, since, prDetails = false }) {
+    const query = { state, since: state !== 'open' ? since : '' };
+    const pullRequestFields = prDetails ? `${PULL_REQUEST_FIELDS} ${PULL_REQUEST_DETAIL_FIELDS}` : PULL_REQUEST_FIELDS;
+    
+    const repositories = requests.map((request, index) => {
+        const connections = [
+            request.issues ? buildConnection('issues', ISSUE_FIELDS, request.issues.cursor, query) : '',
+            request.pullRequests ? buildConnection('pullRequests', pullRequestFields, request.pullRequests.cursor, query) : ''
+        ].join('\n');
+        
+        return `${getRepositoryAlias(index)}: repository(owner: ${JSON.stringify(request.owner)}, name: ${JSON.stringify(request.name)}) {
+            ${connections}
+        }`;
+    });
+    
+    return `query {\n${repositories.join('\n')}\n}`;
+}
+
+/**
+ * Convert a GraphQL user (author, assignee) to the REST shape
+ */
+function normalizeUser(user) {
+    return user ? { login: user.login, avatar_url: user.avatarUrl, html_url: user.url } : { ...GHOST_USER };
+}
+
+/**
+ * Convert reaction groups to the REST reactions object
+ */
+function normalizeReactions(reactionGroups) {
+    const reactions = { total_count: 0 };
+    Object.values(REACTION_KEYS).forEach(key => {
+        reactions[key] = 0;
+    });
+    
+    (reactionGroups || []).forEach(group => {
+        const key = REACTION_KEYS[group.content];
+        if (!key) return;
+        reactions[key] = group.reactors.totalCount;
+        reactions.total_count += group.reactors.totalCount;
+    });
+    
+    return reactions;
+}
+
+/**
+ * Convert a milestone to the REST shape
+ */
+function normalizeMilestone(milestone) {
+    if (!milestone) return null;
+    return {
+        number: milestone.number,
+        title: milestone.title,
+        description: milestone.description,
+        due_on: milestone.dueOn,
+        html_url: milestone.url,
+        state: milestone.state.toLowerCase(),
+        open_issues: milestone.openIssues.totalCount,
+        closed_issues: milestone.closedIssues.totalCount
+    };
+}
+
+/**
+ * Convert the fields shared by issues and pull requests to the REST issues API shape
+ */
+function normalizeItemNode(node, repo) {
+    return {
+        id: node.databaseId,
+        node_id: node.id,
+        number: node.number,
+        title: node.title,
+        body: node.body,
+        html_url: node.url,
+        comments_url: `${GITHUB_API_BASE}/repos/${repo}/issues/${node.number}/comments`,
+        // Merged pull requests are closed in the REST API
+        state: node.state === 'OPEN' ? 'open' : 'closed',
+        user: normalizeUser(node.author),
+        assignees: node.assignees.nodes.map(normalizeUser),
+        labels: node.labels.nodes.map(label => ({ name: label.name, color: label.color, description: label.description })),
+        milestone: normalizeMilestone(node.milestone),
+        comments: node.comments.totalCount,
+        reactions: normalizeReactions(node.reactionGroups),
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        closed_at: node.closedAt
+    };
+}
+
+/**
+ * Convert a GraphQL issue to the REST issues API shape (ready for classifyItem)
+ */
+export function normalizeIssueNode(node, repo) {
+    return {
+        ...normalizeItemNode(node, repo),
+        state_reason: node.stateReason ? node.stateReason.toLowerCase() : null,
+        // classifyItem reads GitHub issue types from the type field
+        type: node.issueType ? { name: node.issueType.name } : null
+    };
+}
+
+/**
+ * Summarize the latest decisive review of each reviewer
+ * @returns {string} 'changes_requested', 'approved' or 'none'
+ */
+function getReviewState(reviews) {
+    const states = reviews.map(review => review.state);
+    if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+    if (states.includes('APPROVED')) return 'approved';
+    return 'none';
+}
+
+/**
+ * Convert the combined status of the last commit to a checks state
+ * @returns {string} 'failure', 'pending', 'success' or 'none'
+ */
+function getChecksState(rollup) {
+    if (!rollup) return 'none';
+    if (rollup.state === 'FAILURE' || rollup.state === 'ERROR') return 'failure';
+    if (rollup.state === 'PENDING' || rollup.state === 'EXPECTED') return 'pending';
+    return 'success';
+}
+
+/**
+ * Get the review, CI and mergeability details of a pull request (same shape as the REST details)
+ */
+function getPullRequestDetails(node) {
+    const lastCommit = node.commits.nodes[0];
+    return {
+        draft: Boolean(node.isDraft),
+        mergeable: node.mergeable === 'MERGEABLE' ? true : node.mergeable === 'CONFLICTING' ? false : null,
+        mergeableState: node.mergeable === 'CONFLICTING' ? 'dirty' : null,
+        headRef: node.headRefName,
+        baseRef: node.baseRefName,
+        requestedReviewers: node.reviewRequests.nodes
+            .map(request => request.requestedReviewer && (request.requestedReviewer.login || request.requestedReviewer.slug))
+            .filter(login => login),
+        reviewState: getReviewState(node.latestOpinionatedReviews.nodes),
+        checksState: getChecksState(lastCommit ? lastCommit.commit.statusCheckRollup : null),
+        updatedAt: node.updatedAt
+    };
+}
+
+/**
+ * Convert a GraphQL pull request to the REST issues API shape (ready for classifyItem)
+ * Open pull requests loaded with details get their prDetails too
+ */
+export function normalizePullRequestNode(node, repo) {
+    const item = {
+        ...normalizeItemNode(node, repo),
+        draft: Boolean(node.isDraft),
+        pull_request: {
+            url: `${GITHUB_API_BASE}/repos/${repo}/pulls/${node.number}`,
+            html_url: node.url,
+            merged_at: node.mergedAt
+        }
+    };
+    
+    if (node.state === 'OPEN' && node.commits) {
+        item.prDetails = getPullRequestDetails(node);
+    }
+    
+    return item;
+}
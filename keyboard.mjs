@@ -0,0 +1,250 @@
+import { escapeHtml } from './shared.mjs';
+
+// Keyboard shortcuts shown in the cheat sheet
+const SHORTCUTS = [
+    { keys: ['j', 'k'], description: 'Next / previous card or swimlane' },
+    { keys: ['Enter'], description: 'Open the focused card, or collapse/expand the focused swimlane' },
+    { keys: ['o'], description: 'Open the focused card on GitHub' },
+    { keys: ['Esc'], description: 'Close the detail panel, help or this cheat sheet' },
+    { keys: ['/'], description: 'Search' },
+    { keys: ['r'], description: 'Reload issues & PRs' },
+    { keys: ['['], description: 'Collapse all swimlanes' },
+    { keys: [']'], description: 'Expand all swimlanes' },
+    { keys: ['?'], description: 'Show / hide keyboard shortcuts' }
+];
+
+// Elements j/k move between: swimlane headers and the cards of expanded swimlanes
+const NAVIGABLE_SELECTOR = '.swimlane-header, .item';
+
+// State
+let lastFocusedCard = null;
+
+/**
+ * Get the accessibility attributes of a card (focusable, labelled for screen readers)
+ */
+export function getCardAttributes(item) {
+    const kind = item.pull_request ? 'Pull request' : 'Issue';
+    const label = `${kind} #${item.number}: ${item.title} (${item.repoName}, ${item.state})`;
+    return `role="article" tabindex="0" aria-label="${escapeHtml(label)}" aria-keyshortcuts="Enter o"`;
+}
+
+/**
+ * Get the accessibility attributes of a swimlane header (a button that collapses the swimlane)
+ */
+export function getSwimlaneHeaderAttributes(expanded) {
+    return `role="button" tabindex="0" aria-expanded="${expanded}"`;
+}
+
+/**
+ * Check whether a key press was meant for a form field
+ */
+function isTypingTarget(target) {
+    return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Get the navigable elements in page order (cards inside collapsed swimlanes are skipped)
+ */
+function getNavigableElements() {
+    return [...document.querySelectorAll(NAVIGABLE_SELECTOR)].filter(element =>
+        element.classList.contains('swimlane-header') || !element.closest('.swimlane.collapsed')
+    );
+}
+
+/**
+ * Move the focus to the next (1) or previous (-1) card or swimlane header
+ */
+function moveFocus(direction) {
+    const elements = getNavigableElements();
+    if (elements.length === 0) return;
+    
+    const current = elements.indexOf(document.activeElement);
+    const fallback = elements.indexOf(lastFocusedCard);
+    const start = current !== -1 ? current : fallback;
+    const next = start === -1 ?
+        (direction > 0 ? 0 : elements.length - 1) :
+        Math.min(Math.max(start + direction, 0), elements.length - 1);
+    
+    elements[next].focus();
+    elements[next].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Get the focused card (or the last one that had the focus)
+ */
+function getFocusedCard() {
+    const active = document.activeElement?.closest?.('.item');
+    return active || (lastFocusedCard && lastFocusedCard.isConnected ? lastFocusedCard : null);
+}
+
+/**
+ * Collapse or expand every swimlane (through their headers, so each view keeps track of it)
+ */
+function setAllSwimlanesExpanded(expanded) {
+    document.querySelectorAll('.swimlane').forEach(swimlane => {
+        if (swimlane.classList.contains('collapsed') === expanded) {
+            swimlane.querySelector('.swimlane-header')?.click();
+        }
+    });
+}
+
+/**
+ * Show or hide the keyboard shortcuts cheat sheet
+ */
+function toggleCheatSheet() {
+    const existing = document.getElementById('shortcutsOverlay');
+    if (existing) {
+        closeCheatSheet();
+        return;
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.id = 'shortcutsOverlay';
+    overlay.className = 'shortcuts-overlay';
+    overlay.innerHTML = `
+        <div class="shortcuts-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutsTitle" tabindex="-1">
+            <div class="shortcuts-header">
+                <h2 id="shortcutsTitle">⌨️ Keyboard shortcuts</h2>
+                <button class="close-iframe" id="closeShortcuts" title="Close" aria-label="Close">×</button>
+            </div>
+            <dl class="shortcuts-list">
+                ${SHORTCUTS.map(shortcut => `
+                    <dt>${shortcut.keys.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' ')}</dt>
+                    <dd>${escapeHtml(shortcut.description)}</dd>
+                `).join('')}
+            </dl>
+        </div>
+    `;
+    
+    // Clicking outside the dialog or on the close button closes it
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay || e.target.closest('#closeShortcuts')) {
+            closeCheatSheet();
+        }
+    });
+    
+    overlay.returnFocus = document.activeElement;
+    document.body.appendChild(overlay);
+    overlay.querySelector('.shortcuts-dialog').focus();
+}
+
+/**
+ * Close the cheat sheet and give the focus back
+ */
+function closeCheatSheet() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (!overlay) return false;
+    
+    const returnFocus = overlay.returnFocus;
+    overlay.remove();
+    returnFocus?.focus?.();
+    return true;
+}
+
+/**
+ * Close the open panel (cheat sheet first, then the detail panel, then help)
+ * @returns {boolean} Whether something was closed
+ */
+function closeTopmostPanel() {
+    if (closeCheatSheet()) return true;
+    
+    const iframePanel = document.getElementById('iframePanel');
+    if (iframePanel && iframePanel.classList.contains('open')) {
+        document.getElementById('closeIframe')?.click();
+        getFocusedCard()?.focus();
+        return true;
+    }
+    
+    const helpPanel = document.getElementById('helpPanel');
+    if (helpPanel && helpPanel.classList.contains('open')) {
+        document.getElementById('closeHelp')?.click();
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Setup keyboard navigation and shortcuts for cards, swimlanes and panels
+ */
+export function setupKeyboardNavigation() {
+    // Remember the last focused card so shortcuts keep working after the focus moves into a panel
+    document.addEventListener('focusin', (e) => {
+        const card = e.target.closest?.('.item');
+        if (card) {
+            lastFocusedCard = card;
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        if (e.key === 'Escape') {
+            if (closeTopmostPanel()) {
+                e.preventDefault();
+            } else if (isTypingTarget(e.target)) {
+                e.target.blur();
+            }
+            return;
+        }
+        
+        if (isTypingTarget(e.target)) return;
+        
+        // Enter and Space activate the focused card or swimlane header like a click
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.matches?.(NAVIGABLE_SELECTOR)) {
+            e.preventDefault();
+            e.target.click();
+            // Move the focus into the detail panel a card opened (Esc brings it back)
+            if (e.target.classList.contains('item')) {
+                document.getElementById('closeIframe')?.focus();
+            }
+            return;
+        }
+        
+        switch (e.key) {
+            case 'j':
+                e.preventDefault();
+                moveFocus(1);
+                break;
+            case 'k':
+                e.preventDefault();
+                moveFocus(-1);
+                break;
+            case 'o': {
+                const card = getFocusedCard();
+                const link = card?.querySelector('a.item-title, a.item-title-link');
+                if (link) {
+                    e.preventDefault();
+                    window.open(link.href, '_blank', 'noopener,noreferrer');
+                }
+                break;
+            }
+            case '/': {
+                // The filter bar is hidden until issues are loaded
+                const search = document.getElementById('filterText');
+                if (search && document.getElementById('filterBar')?.style.display !== 'none') {
+                    e.preventDefault();
+                    search.focus();
+                    search.select();
+                }
+                break;
+            }
+            case 'r':
+                e.preventDefault();
+                document.getElementById('loadBtn')?.click();
+                break;
+            case '[':
+                e.preventDefault();
+                setAllSwimlanesExpanded(false);
+                break;
+            case ']':
+                e.preventDefault();
+                setAllSwimlanesExpanded(true);
+                break;
+            case '?':
+                e.preventDefault();
+                toggleCheatSheet();
+                break;
+        }
+    });
+}
@@ -4,10 +4,8 @@ import {
     getGitHubToken,
     fetchGitHub,
     classifyItem,
-    fetchRepositoryData,
     getContrastColor,
     getRepoColor,
-    showError,
     escapeHtml,
     formatReactions,
     getTotalReactions,
@@ -19,119 +17,133 @@ import {
     setupAnalyticsConsent,
     formatMarkdown,
     formatDate,
-    renderIssueDetails
+    formatPullRequestBadges,
+    formatClosedDate,
+    getReviewReadiness,
+    setupClassificationRules,
+    getTruncationWarning,
+    setupRepositoryLoader,
+    loadRepositories,
+    getLoadedRepositories,
+    reclassifyLoadedRepositories,
+    renderRepositoryStatusCards,
+    setupItemDetailsPanel
 } from './shared.mjs';
+import {
+    setupFilterBar,
+    filterRepoData,
+    hasActiveFilters
+} from './filters.mjs';
+import { sortItems } from './sorting.mjs';
+import { setupExportMenu } from './export.mjs';
+import { setupKeyboardNavigation, getCardAttributes, getSwimlaneHeaderAttributes } from './keyboard.mjs';
+import {
+    getChangeAttributes,
+    formatChangeBadge
+} from './changes.mjs';
+import {
+    isBoardMode,
+    prepareBoard,
+    renderBoard,
+    setupBoardSettings
+} from './board.mjs';
+
+// State
+const expandedSwimlanes = new Set();
 
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     setupCommonUI();
     setupAdBanner();
     setupHelpPanel();
+    setupKeyboardNavigation();
     setupAnalyticsConsent();
-    setupLoadButton((repos) => loadAllRepositories(repos, true));
-    
+    setupFilterBar(() => renderRepositories());
+    setupExportMenu('By Repository', getExportGroups);
+    setupClassificationRules(() => {
+        reclassifyLoadedRepositories();
+        renderRepositories();
+    });
+    setupBoardSettings(() => renderRepositories());
+    setupRepositoryLoader({
+        render: renderRepositories,
+        prepare: prepareBoard,
+        inlineTruncationWarnings: true
+    });
+    setupLoadButton(loadRepositories);
+
     // Auto-load on page load with initial repos
-    setupAutoLoad((repos) => loadAllRepositories(repos, true));
+    setupAutoLoad(loadRepositories);
 
-    // Setup issue detail panel handlers
-    const iframePanel = document.getElementById('iframePanel');
-    const detailsContent = document.getElementById('detailsContent');
-    const detailsLoading = document.getElementById('detailsLoading');
-    const iframeTitle = document.getElementById('iframeTitle');
-    const closeIframe = document.getElementById('closeIframe');
+    // Detail panel, opened from the cards and from desktop notifications
+    setupItemDetailsPanel();
+});
 
-    closeIframe.addEventListener('click', () => {
-        iframePanel.classList.remove('open');
-        detailsContent.innerHTML = '';
-    });
+/**
+ * Get the loaded repositories with the active filters applied (repositories without matches are left out)
+ */
+function getFilteredRepositories() {
+    const filtering = hasActiveFilters();
+    return getLoadedRepositories()
+        .map(repoData => filterRepoData(repoData))
+        .filter(repoData => !filtering || repoData.issues.length + repoData.pullRequests.length > 0);
+}
 
-    // Event delegation for issue clicks
-    document.addEventListener('click', async (e) => {
-        // Check if clicked on item card or its children
-        const item = e.target.closest('.item');
-        if (item) {
-            e.preventDefault();
-            
-            const isPR = item.dataset.isPr === 'true';
-            const issueData = JSON.parse(item.dataset.issue);
-            
-            // Check if it's a PR - if so, open directly on GitHub
-            if (isPR) {
-                window.open(issueData.html_url, '_blank', 'noopener,noreferrer');
-                return;
-            }
-            
-            // For issues, show in detail panel
-            iframeTitle.textContent = 'Loading...';
-            iframePanel.classList.add('open');
-            detailsContent.innerHTML = '';
-            detailsLoading.style.display = 'block';
-            
-            try {
-                await loadIssueDetails(issueData);
-            } catch (error) {
-                detailsContent.innerHTML = `<div class="error">Failed to load issue details: ${error.message}</div>`;
-            } finally {
-                detailsLoading.style.display = 'none';
-            }
-        }
+/**
+ * Get the visible items grouped and sorted as in the swimlanes (for exports)
+ */
+function getExportGroups() {
+    return getFilteredRepositories().map(repoData => ({
+        title: repoData.repo,
+        items: [...sortIssues(repoData.issues), ...sortPullRequests(repoData.pullRequests)]
+    }));
+}
+
+/**
+ * Sort issues - default order: by type (bugs, features, tasks, other), then by reactions count (descending)
+ */
+function sortIssues(issues) {
+    const typeOrder = { bug: 1, feature: 2, task: 3, other: 4 };
+    return sortItems(issues, (a, b) => {
+        const typeComparison = (typeOrder[a.type] || 4) - (typeOrder[b.type] || 4);
+        if (typeComparison !== 0) return typeComparison;
+        
+        // If same type, sort by reactions count (descending)
+        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
     });
-});
+}
 
 /**
- * Load and display issue details
+ * Sort PRs - default order: by review readiness (when PR details are loaded), then by reactions
  */
-async function loadIssueDetails(issue) {
-    const detailsContent = document.getElementById('detailsContent');
-    const iframeTitle = document.getElementById('iframeTitle');
-    
-    // No need to fetch comments - we already have the count in issue.comments
-    renderIssueDetails(issue, issue.html_url, iframeTitle, detailsContent);
+function sortPullRequests(pullRequests) {
+    return sortItems(pullRequests, (a, b) => {
+        const readinessComparison = getReviewReadiness(b) - getReviewReadiness(a);
+        if (readinessComparison !== 0) return readinessComparison;
+        
+        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
+    });
 }
 
 /**
- * Load all repositories and display them
+ * Render the swimlanes of all loaded repositories with the active filters
  */
-async function loadAllRepositories(repos, openOnly = false) {
-    const loadingEl = document.getElementById('loading');
+function renderRepositories() {
     const swimlanesEl = document.getElementById('swimlanes');
-    const errorContainer = document.getElementById('error-container');
-
-    // Clear previous data
     swimlanesEl.innerHTML = '';
-    errorContainer.innerHTML = '';
-    loadingEl.style.display = 'block';
-
-    try {
-        // Fetch all repositories
-        const results = await Promise.all(
-            repos.map(repo => fetchRepositoryData(repo, openOnly))
-        );
-
-        loadingEl.style.display = 'none';
 
-        // Show errors for failed repositories
-        const failed = results.filter(r => !r.success);
-        if (failed.length > 0) {
-            const errorMessages = failed.map(r => `${r.repo}: ${r.error}`).join('<br>');
-            showError(`Failed to load some repositories:<br>${errorMessages}`);
-        }
-
-        // Display successful repositories
-        const successful = results.filter(r => r.success);
-        if (successful.length === 0) {
-            swimlanesEl.innerHTML = '<div class="empty-state">No repositories loaded successfully</div>';
-            return;
-        }
+    const filtered = getFilteredRepositories();
 
-        successful.forEach(repoData => {
+    if (filtered.length === 0 && getLoadedRepositories().length > 0) {
+        swimlanesEl.innerHTML = '<div class="empty-state">No issues or PRs match the current filters</div>';
+    } else {
+        filtered.forEach(repoData => {
             renderSwimlane(repoData);
         });
-
-    } catch (error) {
-        loadingEl.style.display = 'none';
-        showError(`Error loading repositories: ${error.message}`);
     }
+
+    // Repositories that failed or are still loading
+    swimlanesEl.insertAdjacentHTML('beforeend', renderRepositoryStatusCards());
 }
 
 /**
@@ -142,18 +154,12 @@ function renderSwimlane(repoData) {
     const { repo, issues, pullRequests } = repoData;
 
     const swimlane = document.createElement('div');
-    swimlane.className = 'swimlane collapsed';
+    swimlane.className = expandedSwimlanes.has(repo) ? 'swimlane' : 'swimlane collapsed';
+    swimlane.dataset.repo = repo;
+    swimlane.dataset.lane = repo;
 
-    // Sort issues by type: bugs, features, tasks, other
-    // Then by reactions count (descending)
-    const typeOrder = { bug: 1, feature: 2, task: 3, other: 4 };
-    const sortedIssues = [...issues].sort((a, b) => {
-        const typeComparison = (typeOrder[a.type] || 4) - (typeOrder[b.type] || 4);
-        if (typeComparison !== 0) return typeComparison;
-        
-        // If same type, sort by reactions count (descending)
-        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
-    });
+    const sortedIssues = sortIssues(issues);
+    const sortedPRs = sortPullRequests(pullRequests);
 
     const totalIssues = issues.length;
     const totalPRs = pullRequests.length;
@@ -165,14 +171,15 @@ function renderSwimlane(repoData) {
     const prSection = `
         <div class="section prs-section">
             <div class="section-title">Pull Requests (${totalPRs})</div>
-            ${totalPRs > 0 ? renderItems(pullRequests, true) : '<div class="empty-state">No pull requests found</div>'}
+            ${totalPRs > 0 ? renderItems(sortedPRs) : '<div class="empty-state">No pull requests found</div>'}
         </div>
     `;
     
     const [owner, repoName] = repo.split('/');
+    const truncationWarning = getTruncationWarning(repoData);
 
     swimlane.innerHTML = `
-        <div class="swimlane-header" style="--repo-bg: ${getRepoColor(repo)}; background: var(--repo-bg, transparent); border-radius: 6px; padding: 15px;">
+        <div class="swimlane-header" ${getSwimlaneHeaderAttributes(expandedSwimlanes.has(repo))} style="--repo-bg: ${getRepoColor(repo)}; background: var(--repo-bg, transparent); border-radius: 6px; padding: 15px;">
             <div class="swimlane-title">
                 <div class="swimlane-title-main">
                     <span class="collapse-icon">▼</span>
@@ -191,14 +198,17 @@ function renderSwimlane(repoData) {
                     <span>📋 Tasks: ${taskCount}</span>
                     <span>❓ Other: ${otherCount}</span>
                 </div>
+                ${truncationWarning ? `<div class="stat-truncated">${truncationWarning}</div>` : ''}
             </div>
         </div>
         <div class="swimlane-content">
-            <div class="section issues-section">
-                <div class="section-title">Issues (${totalIssues})</div>
-                ${renderItems(sortedIssues, false)}
-            </div>
-            ${prSection}
+            ${isBoardMode() ? renderBoard([...sortedIssues, ...sortedPRs], renderItems) : `
+                <div class="section issues-section">
+                    <div class="section-title">Issues (${totalIssues})</div>
+                    ${renderItems(sortedIssues)}
+                </div>
+                ${prSection}
+            `}
         </div>
     `;
 
@@ -206,6 +216,12 @@ function renderSwimlane(repoData) {
     const header = swimlane.querySelector('.swimlane-header');
     header.addEventListener('click', () => {
         swimlane.classList.toggle('collapsed');
+        header.setAttribute('aria-expanded', String(!swimlane.classList.contains('collapsed')));
+        if (swimlane.classList.contains('collapsed')) {
+            expandedSwimlanes.delete(repo);
+        } else {
+            expandedSwimlanes.add(repo);
+        }
     });
 
     swimlanesEl.appendChild(swimlane);
@@ -214,7 +230,7 @@ function renderSwimlane(repoData) {
 /**
  * Render a list of items (issues or PRs)
  */
-function renderItems(items, isPR = false) {
+function renderItems(items) {
     if (items.length === 0) {
         return '<div class="empty-state">No items found</div>';
     }
@@ -229,7 +245,7 @@ function renderItems(items, isPR = false) {
         const updatedDate = formatDate(item.updated_at);
         
         return `
-            <div class="item" data-issue='${JSON.stringify(item).replace(/'/g, "&apos;")}' data-is-pr="${isPR}">
+            <div class="item${item.state === 'closed' ? ' item-closed' : ''}" data-issue='${JSON.stringify(item).replace(/'/g, "&apos;")}' ${getCardAttributes(item)} ${getChangeAttributes(item)}>
                 <div class="item-header">
                     <span class="item-number">#${item.number}</span>
                     <a href="${item.html_url}" class="item-title" target="_blank" rel="noopener noreferrer">
@@ -237,10 +253,13 @@ function renderItems(items, isPR = false) {
                     </a>
                 </div>
                 <div class="item-meta">
+                    ${formatChangeBadge(item)}
                     <span class="label label-${typeLabel}">${typeLabel}</span>
                     <span class="item-state">${stateIcon} ${item.state}</span>
                     <span class="item-dates">📅 ${createdDate} • 🔄 ${updatedDate}</span>
+                    ${formatClosedDate(item)}
                     ${milestone}
+                    ${formatPullRequestBadges(item)}
                     ${item.comments > 0 ? `<span class="interaction-metric" title="comments">💬 ${item.comments}</span>` : ''}
                     ${formatReactions(item.reactions)}
                     ${item.labels.slice(0, 3).map(label => {
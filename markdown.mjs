@@ -0,0 +1,806 @@
+// GitHub base URL used for relative links, issue references and mentions
+const GITHUB_BASE = 'https://github.com/';
+
+// Sanitizer allow-list: tags and the attributes they may keep
+const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    abbr: ['title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    dd: [],
+    del: [],
+    details: ['open'],
+    div: [],
+    dl: [],
+    dt: [],
+    em: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    input: ['type', 'checked', 'disabled'],
+    ins: [],
+    kbd: [],
+    li: [],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    q: [],
+    s: [],
+    samp: [],
+    span: [],
+    strike: [],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['align', 'colspan', 'rowspan'],
+    tfoot: [],
+    th: ['align', 'colspan', 'rowspan'],
+    thead: [],
+    tr: [],
+    tt: [],
+    ul: [],
+    var: []
+};
+
+// Tags removed together with their content (everything else unknown is unwrapped)
+const DROPPED_TAGS = ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'template',
+    'noscript', 'textarea', 'select', 'option', 'button', 'form', 'svg', 'math', 'title', 'head', 'link', 'meta', 'base'];
+
+// URL schemes allowed in href / src attributes
+const ALLOWED_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+// Characters that can be backslash-escaped
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+// Block-level patterns
+const FENCE = /^( {0,3})(`{3,}|~{3,})[ \t]*([^`\s]*)[^`]*$/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:( +)(.*))?$/;
+const HTML_BLOCK = /^ {0,3}<(?:\/?(?:address|article|aside|blockquote|center|dd|details|div|dl|dt|figcaption|figure|footer|h[1-6]|header|hr|li|main|nav|ol|p|picture|pre|section|summary|table|tbody|td|tfoot|th|thead|tr|ul)(?:[\s/>]|$)|!--)/i;
+const HTML_TAG_LINE = /^ {0,3}<\/?[a-zA-Z][\w-]*(?:\s[^>]*)?\/?>[ \t]*$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const REFERENCE_DEFINITION = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?[ \t]*$/;
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+
+// Inline patterns
+const AUTOLINK = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/;
+const EMAIL_AUTOLINK = /^<([^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)>/;
+const INLINE_HTML = /^(?:<\/?[a-zA-Z][\w-]*(?:\s+[a-zA-Z_:][\w.:-]*(?:\s*=\s*(?:[^\s"'=<>`]+|'[^']*'|"[^"]*"))?)*\s*\/?>|<!--[\s\S]*?-->)/;
+const BARE_URL = /(^|[\s(])((?:https?:\/\/|www\.)[^\s<\u0000]*[^\s<\u0000?!.,:;*_~'")\]])/g;
+const ISSUE_REFERENCE = /(^|[^\w/&#\u0000])(?:([\w.-]+\/[\w.-]+))?#(\d+)\b/g;
+const MENTION = /(^|[^\w/`\u0000])@([a-zA-Z0-9](?:[a-zA-Z0-9]|-(?=[a-zA-Z0-9])){0,38})\b(?!\/)/g;
+
+/**
+ * Escape text for use in HTML content and attribute values
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize a link label for reference lookups
+ */
+function normalizeLabel(label) {
+    return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Check whether a line is empty or whitespace only
+ */
+function isBlank(line) {
+    return line.trim() === '';
+}
+
+/**
+ * Count the leading spaces of a line
+ */
+function getIndent(line) {
+    return line.match(/^ */)[0].length;
+}
+
+/**
+ * Parse a list item marker line
+ */
+function matchListItem(line) {
+    const match = LIST_ITEM.exec(line);
+    if (!match || THEMATIC_BREAK.test(line)) return null;
+    
+    const [, indent, marker, spaces = '', content = ''] = match;
+    // Require a space after the marker unless the item is empty
+    if (!spaces && content) return null;
+    
+    // More than four spaces means the content is an indented code block
+    const padding = spaces.length > 4 || !content ? 1 : spaces.length;
+    const ordered = /\d/.test(marker);
+    
+    return {
+        ordered,
+        delimiter: marker.slice(-1),
+        start: ordered ? parseInt(marker, 10) : null,
+        contentIndent: indent.length + marker.length + padding,
+        content: spaces.length > 4 ? ' '.repeat(spaces.length - 1) + content : content
+    };
+}
+
+/**
+ * Split a table row into trimmed cells (escaped pipes stay in the cell)
+ */
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Check whether a line and the next one start a table
+ */
+function isTableStart(line, nextLine) {
+    return nextLine !== undefined && line.includes('|') && TABLE_DELIMITER.test(nextLine) &&
+        splitTableRow(line).length === splitTableRow(nextLine).length;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ */
+function startsBlock(line, nextLine) {
+    if (FENCE.test(line) || ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) ||
+        BLOCKQUOTE.test(line) || HTML_BLOCK.test(line) || isTableStart(line, nextLine)) {
+        return true;
+    }
+    
+    // Only non-empty bullet items and ordered items starting at 1 interrupt a paragraph
+    const item = matchListItem(line);
+    return Boolean(item && item.content.trim() && (!item.ordered || item.start === 1));
+}
+
+/**
+ * Collect link reference definitions ([label]: url "title") and remove them from the lines
+ */
+function extractReferences(lines, references) {
+    const remaining = [];
+    let fence = null;
+    
+    lines.forEach(line => {
+        const fenceMatch = FENCE.exec(line);
+        if (fenceMatch && (!fence || (fenceMatch[2][0] === fence[0] && fenceMatch[2].length >= fence.length))) {
+            fence = fence ? null : fenceMatch[2];
+        }
+        
+        const match = !fence && REFERENCE_DEFINITION.exec(line);
+        if (match) {
+            const label = normalizeLabel(match[1]);
+            if (!references.has(label)) {
+                references.set(label, { url: match[2], title: match[3] ?? match[4] ?? match[5] ?? '' });
+            }
+            return;
+        }
+        remaining.push(line);
+    });
+    
+    return remaining;
+}
+
+/**
+ * Render a list of lines as block-level HTML
+ * @param {Array<string>} lines - Source lines (tabs already expanded)
+ * @param {Object} context - Rendering context (repo, references)
+ * @param {boolean} tight - Render paragraphs without <p> (tight list items)
+ */
+function renderBlocks(lines, context, tight = false) {
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        
+        if (isBlank(line)) {
+            i++;
+            continue;
+        }
+        
+        // Fenced code block
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const [, indent, marker, language] = fence;
+            const closing = new RegExp(`^ {0,3}${marker[0] === '`' ? '`' : '~'}{${marker.length},}[ \\t]*$`);
+            const code = [];
+            i++;
+            while (i < lines.length && !closing.test(lines[i])) {
+                code.push(lines[i].replace(new RegExp(`^ {0,${indent.length}}`), ''));
+                i++;
+            }
+            i++;
+            const languageClass = language ? ` class="language-${escapeText(language)}"` : '';
+            html.push(`<pre><code${languageClass}>${escapeText(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        // Indented code block
+        if (getIndent(line) >= 4) {
+            const code = [];
+            while (i < lines.length && (isBlank(lines[i]) || getIndent(lines[i]) >= 4)) {
+                code.push(lines[i].slice(4));
+                i++;
+            }
+            while (code.length > 0 && isBlank(code[code.length - 1])) code.pop();
+            html.push(`<pre><code>${escapeText(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        // ATX heading
+        const heading = ATX_HEADING.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level} class="md-h${level}">${renderInline(heading[2] || '', context)}</h${level}>`);
+            i++;
+            continue;
+        }
+        
+        // Thematic break
+        if (THEMATIC_BREAK.test(line)) {
+            html.push('<hr class="md-hr">');
+            i++;
+            continue;
+        }
+        
+        // Blockquote (with lazy paragraph continuation lines)
+        if (BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length) {
+                if (BLOCKQUOTE.test(lines[i])) {
+                    quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+                } else if (!isBlank(lines[i]) && !isBlank(quoted[quoted.length - 1]) && !startsBlock(lines[i], lines[i + 1])) {
+                    quoted.push(lines[i]);
+                } else {
+                    break;
+                }
+                i++;
+            }
+            html.push(`<blockquote class="md-blockquote">${renderBlocks(quoted, context)}</blockquote>`);
+            continue;
+        }
+        
+        // Bullet, ordered and task lists
+        if (matchListItem(line)) {
+            const list = renderList(lines, i, context);
+            html.push(list.html);
+            i = list.end;
+            continue;
+        }
+        
+        // Table
+        if (isTableStart(line, lines[i + 1])) {
+            const table = renderTable(lines, i, context);
+            html.push(table.html);
+            i = table.end;
+            continue;
+        }
+        
+        // Raw HTML block (sanitized later); a line holding a single tag can't interrupt a paragraph
+        if (HTML_BLOCK.test(line) || HTML_TAG_LINE.test(line)) {
+            const block = [];
+            while (i < lines.length && !isBlank(lines[i])) {
+                block.push(lines[i]);
+                i++;
+            }
+            html.push(block.join('\n'));
+            continue;
+        }
+        
+        // Paragraph, or setext heading when underlined with === / ---
+        const paragraph = [line.trim()];
+        i++;
+        while (i < lines.length && !isBlank(lines[i])) {
+            const setext = SETEXT_UNDERLINE.exec(lines[i]);
+            if (setext) {
+                const level = setext[1][0] === '=' ? 1 : 2;
+                html.push(`<h${level} class="md-h${level}">${renderInline(paragraph.join('\n'), context)}</h${level}>`);
+                paragraph.length = 0;
+                i++;
+                break;
+            }
+            if (startsBlock(lines[i], lines[i + 1])) break;
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        
+        if (paragraph.length > 0) {
+            const content = renderInline(paragraph.join('\n'), context);
+            html.push(tight ? content : `<p class="md-paragraph">${content}</p>`);
+        }
+    }
+    
+    return html.join('\n');
+}
+
+/**
+ * Render a list starting at a line
+ * @returns {{html: string, end: number}} The list HTML and the index of the first line after it
+ */
+function renderList(lines, start, context) {
+    const first = matchListItem(lines[start]);
+    const items = [];
+    let loose = false;
+    let i = start;
+    
+    while (i < lines.length) {
+        const item = matchListItem(lines[i]);
+        if (!item || item.ordered !== first.ordered || item.delimiter !== first.delimiter) break;
+        
+        const content = [item.content];
+        i++;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (isBlank(line)) {
+                content.push('');
+            } else if (getIndent(line) >= item.contentIndent) {
+                content.push(line.slice(item.contentIndent));
+            } else if (!isBlank(content[content.length - 1]) && !matchListItem(line) && !startsBlock(line, lines[i + 1])) {
+                // Lazy paragraph continuation
+                content.push(line.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+        
+        let trailingBlanks = 0;
+        while (content.length > 1 && isBlank(content[content.length - 1])) {
+            content.pop();
+            trailingBlanks++;
+        }
+        
+        // A blank line between items, or between the direct children of an item, makes the list loose
+        const nextItem = i < lines.length ? matchListItem(lines[i]) : null;
+        if (trailingBlanks > 0 && nextItem && nextItem.ordered === first.ordered && nextItem.delimiter === first.delimiter) {
+            loose = true;
+        }
+        if (content.some((line, index) => isBlank(line) && index > 0 && getIndent(content[index + 1] || '') === 0 &&
+            !isBlank(content[index + 1] || ''))) {
+            loose = true;
+        }
+        
+        const task = TASK_MARKER.exec(content[0]);
+        if (task) {
+            content[0] = content[0].slice(task[0].length);
+        }
+        items.push({ content, task: task ? task[1] !== ' ' : null });
+    }
+    
+    const hasTasks = items.some(item => item.task !== null);
+    const tag = first.ordered ? 'ol' : 'ul';
+    const startAttribute = first.ordered && first.start !== 1 ? ` start="${first.start}"` : '';
+    const listClass = hasTasks ? 'md-list md-task-list' : 'md-list';
+    
+    const itemsHtml = items.map(item => {
+        const body = renderBlocks(item.content, context, !loose);
+        if (item.task === null) {
+            return `<li class="md-list-item">${body}</li>`;
+        }
+        const checkbox = `<input type="checkbox" disabled${item.task ? ' checked' : ''}>`;
+        return `<li class="md-list-item md-task-item">${checkbox} ${body}</li>`;
+    }).join('\n');
+    
+    return {
+        html: `<${tag} class="${listClass}"${startAttribute}>\n${itemsHtml}\n</${tag}>`,
+        end: i
+    };
+}
+
+/**
+ * Render a GFM table starting at a line
+ * @returns {{html: string, end: number}} The table HTML and the index of the first line after it
+ */
+function renderTable(lines, start, context) {
+    const headers = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+    
+    const renderCell = (tag, text, index) => {
+        const align = alignments[index] ? ` align="${alignments[index]}"` : '';
+        return `<${tag}${align}>${renderInline(text, context)}</${tag}>`;
+    };
+    
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i], lines[i + 1])) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(headers.map((header, index) => renderCell('td', cells[index] || '', index)).join(''));
+        i++;
+    }
+    
+    const head = `<thead><tr>${headers.map((header, index) => renderCell('th', header, index)).join('')}</tr></thead>`;
+    const body = rows.length > 0 ? `<tbody>${rows.map(row => `<tr>${row}</tr>`).join('')}</tbody>` : '';
+    
+    return {
+        html: `<table class="md-table">${head}${body}</table>`,
+        end: i
+    };
+}
+
+/**
+ * Find the closing bracket of a link text, allowing nested brackets
+ */
+function findClosingBracket(text, start) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === '[') {
+            depth++;
+        } else if (text[i] === ']') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Parse an inline link destination and optional title: (url "title")
+ */
+function parseLinkDestination(text, start) {
+    let i = start + 1;
+    while (text[i] === ' ' || text[i] === '\n') i++;
+    
+    let url = '';
+    if (text[i] === '<') {
+        const end = text.indexOf('>', i);
+        if (end === -1) return null;
+        url = text.slice(i + 1, end);
+        i = end + 1;
+    } else {
+        let depth = 0;
+        while (i < text.length && !/\s/.test(text[i])) {
+            if (text[i] === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+                url += text[i + 1];
+                i += 2;
+                continue;
+            }
+            if (text[i] === '(') depth++;
+            if (text[i] === ')') {
+                if (depth === 0) break;
+                depth--;
+            }
+            url += text[i];
+            i++;
+        }
+    }
+    
+    while (text[i] === ' ' || text[i] === '\n') i++;
+    
+    let title = '';
+    const closers = { '"': '"', "'": "'", '(': ')' };
+    if (closers[text[i]]) {
+        const end = text.indexOf(closers[text[i]], i + 1);
+        if (end === -1) return null;
+        title = text.slice(i + 1, end);
+        i = end + 1;
+        while (text[i] === ' ' || text[i] === '\n') i++;
+    }
+    
+    if (text[i] !== ')') return null;
+    return { url, title, end: i + 1 };
+}
+
+/**
+ * Parse an inline or reference link starting at "["
+ * @returns {{text, url, title, end}|null}
+ */
+function parseLink(text, start, context) {
+    const close = findClosingBracket(text, start);
+    if (close === -1) return null;
+    
+    const label = text.slice(start + 1, close);
+    
+    if (text[close + 1] === '(') {
+        const destination = parseLinkDestination(text, close + 1);
+        if (destination) return { text: label, ...destination };
+    }
+    
+    // Reference links: [text][ref], [text][] and [text]
+    let reference = label;
+    let end = close + 1;
+    const explicit = /^\[([^\]]*)\]/.exec(text.slice(close + 1));
+    if (explicit) {
+        reference = explicit[1] || label;
+        end = close + 1 + explicit[0].length;
+    }
+    const definition = context.references.get(normalizeLabel(reference));
+    return definition ? { text: label, url: definition.url, title: definition.title, end } : null;
+}
+
+/**
+ * Render an anchor tag for the dashboard (links always open in a new tab)
+ */
+function renderAnchor(url, content, title = '', className = 'md-link') {
+    const titleAttribute = title ? ` title="${escapeText(title)}"` : '';
+    return `<a href="${escapeText(url)}"${titleAttribute} target="_blank" rel="noopener noreferrer" class="${className}">${content}</a>`;
+}
+
+/**
+ * Render inline Markdown (code spans, links, emphasis, autolinks, references, mentions)
+ * @param {string} text - Inline source text
+ * @param {Object} context - Rendering context (repo, references, inLink)
+ */
+function renderInline(text, context) {
+    const tokens = [];
+    const protect = html => {
+        tokens.push(html);
+        return `\u0000${tokens.length - 1}\u0000`;
+    };
+    
+    let output = '';
+    let i = 0;
+    
+    while (i < text.length) {
+        const char = text[i];
+        const rest = text.slice(i);
+        
+        // Backslash escapes and hard line breaks
+        if (char === '\\' && i + 1 < text.length) {
+            const next = text[i + 1];
+            if (next === '\n') {
+                output += protect('<br>');
+                i += 2;
+                continue;
+            }
+            if (ESCAPABLE.test(next)) {
+                output += protect(escapeText(next));
+                i += 2;
+                continue;
+            }
+        }
+        
+        // Code spans
+        if (char === '`') {
+            const run = /^`+/.exec(rest)[0];
+            const closing = new RegExp(`(?<!\`)${run}(?!\`)`, 'g');
+            closing.lastIndex = i + run.length;
+            const match = closing.exec(text);
+            if (match) {
+                let code = text.slice(i + run.length, match.index).replace(/\n/g, ' ');
+                if (/^ [\s\S]* $/.test(code) && code.trim()) {
+                    code = code.slice(1, -1);
+                }
+                output += protect(`<code>${escapeText(code)}</code>`);
+                i = match.index + run.length;
+            } else {
+                output += run;
+                i += run.length;
+            }
+            continue;
+        }
+        
+        // Autolinks and raw inline HTML
+        if (char === '<') {
+            const autolink = AUTOLINK.exec(rest);
+            const email = !autolink && EMAIL_AUTOLINK.exec(rest);
+            const inlineHtml = !autolink && !email && INLINE_HTML.exec(rest);
+            if (autolink && !context.inLink) {
+                output += protect(renderAnchor(autolink[1], escapeText(autolink[1])));
+                i += autolink[0].length;
+                continue;
+            }
+            if (email && !context.inLink) {
+                output += protect(renderAnchor(`mailto:${email[1]}`, escapeText(email[1])));
+                i += email[0].length;
+                continue;
+            }
+            if (inlineHtml) {
+                output += protect(inlineHtml[0]);
+                i += inlineHtml[0].length;
+                continue;
+            }
+        }
+        
+        // Images and links
+        const isImage = char === '!' && text[i + 1] === '[';
+        if (isImage || (char === '[' && !context.inLink)) {
+            const link = parseLink(text, isImage ? i + 1 : i, context);
+            if (link) {
+                if (isImage) {
+                    const titleAttribute = link.title ? ` title="${escapeText(link.title)}"` : '';
+                    const alt = link.text.replace(/[[\]\\*_`]/g, '');
+                    output += protect(`<img src="${escapeText(link.url)}" alt="${escapeText(alt)}"${titleAttribute}>`);
+                } else {
+                    const content = renderInline(link.text, { ...context, inLink: true });
+                    output += protect(renderAnchor(link.url, `${content} ↗️`, link.title));
+                }
+                i = link.end;
+                continue;
+            }
+        }
+        
+        output += char;
+        i++;
+    }
+    
+    // GFM extended autolinks, issue references and @mentions (never inside link text)
+    if (!context.inLink) {
+        output = output.replace(BARE_URL, (match, prefix, url) => {
+            const href = url.startsWith('www.') ? `http://${url}` : url;
+            return prefix + protect(renderAnchor(href, escapeText(url)));
+        });
+        output = output.replace(ISSUE_REFERENCE, (match, prefix, repo, number) => {
+            const targetRepo = repo || context.repo;
+            if (!targetRepo) return match;
+            const label = repo ? `${repo}#${number}` : `#${number}`;
+            return prefix + protect(renderAnchor(`${GITHUB_BASE}${targetRepo}/issues/${number}`, escapeText(label)));
+        });
+        output = output.replace(MENTION, (match, prefix, login) =>
+            prefix + protect(renderAnchor(`${GITHUB_BASE}${login}`, `@${escapeText(login)}`, '', 'md-link md-mention'))
+        );
+    }
+    
+    output = escapeText(output);
+    
+    // Emphasis - underscores only count at word boundaries (snake_case stays intact)
+    output = output
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?![\w])/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=[^\s*])([\s\S]*?[^\s*])\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\w])/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    
+    // GitHub renders single line breaks in issues and comments
+    output = output.replace(/\n/g, '<br>');
+    
+    return output.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+/**
+ * Check whether a URL is safe to keep in an href / src attribute
+ */
+function getSafeUrl(value) {
+    // Browsers ignore control characters and whitespace inside schemes ("java\nscript:")
+    const cleaned = value.replace(/[\u0000- \u007f]/g, '');
+    try {
+        const url = new URL(cleaned, GITHUB_BASE);
+        return ALLOWED_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Sanitize an element's attributes against the allow-list
+ */
+function sanitizeAttributes(element, tag) {
+    const allowed = ALLOWED_TAGS[tag];
+    
+    [...element.attributes].forEach(attribute => {
+        const name = attribute.name.toLowerCase();
+        
+        if (name === 'class') {
+            // Keep only the renderer's own md-* classes
+            const classes = attribute.value.split(/\s+/).filter(cls => cls.startsWith('md-') || cls.startsWith('language-'));
+            if (classes.length > 0) {
+                element.setAttribute('class', classes.join(' '));
+            } else {
+                element.removeAttribute('class');
+            }
+            return;
+        }
+        
+        if (!allowed.includes(name)) {
+            element.removeAttribute(attribute.name);
+            return;
+        }
+        
+        if (name === 'href' || name === 'src') {
+            const url = getSafeUrl(attribute.value);
+            if (url) {
+                element.setAttribute(name, url);
+            } else {
+                element.removeAttribute(attribute.name);
+            }
+        }
+    });
+    
+    if (tag === 'a') {
+        element.setAttribute('target', '_blank');
+        element.setAttribute('rel', 'noopener noreferrer');
+        element.classList.add('md-link');
+    }
+    if (tag === 'img') {
+        element.setAttribute('loading', 'lazy');
+    }
+    if (tag === 'input') {
+        // Only read-only task list checkboxes are allowed
+        if ((element.getAttribute('type') || '').toLowerCase() !== 'checkbox') return false;
+        element.setAttribute('disabled', '');
+    }
+    return true;
+}
+
+/**
+ * Sanitize the children of a node in place
+ */
+function sanitizeNode(node) {
+    [...node.childNodes].forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+        
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+            child.remove();
+            return;
+        }
+        
+        const tag = child.localName;
+        if (DROPPED_TAGS.includes(tag)) {
+            child.remove();
+            return;
+        }
+        
+        sanitizeNode(child);
+        
+        if (!Object.hasOwn(ALLOWED_TAGS, tag)) {
+            // Unknown tags are unwrapped so their text stays readable
+            child.replaceWith(...child.childNodes);
+            return;
+        }
+        
+        if (!sanitizeAttributes(child, tag)) {
+            child.remove();
+        }
+    });
+}
+
+/**
+ * Sanitize HTML with the allow-list
+ * Disallowed tags are unwrapped (or dropped with their content), disallowed attributes removed,
+ * and only http(s)/mailto URLs are kept
+ * @param {string} html - Untrusted HTML
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+    // Template content is inert: nothing loads or runs while it is parsed
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    sanitizeNode(template.content);
+    return template.innerHTML;
+}
+
+/**
+ * Render GitHub-Flavored Markdown to sanitized HTML
+ * Supports headings, emphasis, code, links, images, blockquotes, nested/ordered/task lists,
+ * tables, autolinks, #123 issue references, @mentions and (sanitized) raw HTML
+ * @param {string} text - Markdown source
+ * @param {Object} options - { repo } used to link #123 references
+ * @returns {string} Safe HTML
+ */
+export function renderMarkdown(text, { repo = null } = {}) {
+    if (!text) return '';
+    
+    const lines = text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\u0000/g, '�')
+        .replace(/\t/g, '    ')
+        .split('\n');
+    
+    const context = { repo, references: new Map(), inLink: false };
+    const html = renderBlocks(extractReferences(lines, context.references), context);
+    
+    return sanitizeHtml(html);
+}
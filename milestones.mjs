@@ -0,0 +1,245 @@
+import {
+    escapeHtml,
+    getTotalReactions,
+    setupCommonUI,
+    setupLoadButton,
+    setupAutoLoad,
+    setupAdBanner,
+    setupHelpPanel,
+    setupAnalyticsConsent,
+    formatDate,
+    setupClassificationRules,
+    renderItemCards,
+    setupRepositoryLoader,
+    loadRepositories,
+    getLoadedRepositories,
+    reclassifyLoadedRepositories,
+    renderRepositoryStatusCards,
+    setupItemDetailsPanel
+} from './shared.mjs';
+import {
+    setupFilterBar,
+    filterItems,
+    hasActiveFilters
+} from './filters.mjs';
+import { sortItems } from './sorting.mjs';
+import { setupExportMenu } from './export.mjs';
+import { setupKeyboardNavigation, getSwimlaneHeaderAttributes } from './keyboard.mjs';
+import {
+    isBoardMode,
+    prepareBoard,
+    renderBoard,
+    setupBoardSettings
+} from './board.mjs';
+
+// Lane key for items without a milestone
+const NO_MILESTONE_KEY = '__none__';
+
+// State
+const expandedSwimlanes = new Set();
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', () => {
+    setupCommonUI();
+    setupAdBanner();
+    setupHelpPanel();
+    setupKeyboardNavigation();
+    setupAnalyticsConsent();
+    setupFilterBar(() => renderMilestones());
+    setupExportMenu('By Milestone', getExportGroups);
+    setupClassificationRules(() => {
+        reclassifyLoadedRepositories();
+        renderMilestones();
+    });
+    setupBoardSettings(() => renderMilestones());
+    setupRepositoryLoader({ render: renderMilestones, prepare: prepareBoard });
+    setupLoadButton(loadRepositories);
+    
+    // Auto-load on page load with initial repos
+    setupAutoLoad(loadRepositories);
+    
+    // Detail panel, opened from the cards and from desktop notifications
+    setupItemDetailsPanel();
+});
+
+/**
+ * Group items by milestone title across repositories
+ * Milestones with the same title in several repositories (e.g. "v1.2") share a lane;
+ * their open/closed counts are added up and the earliest due date is shown
+ * @returns {Array<{key, title, dueOn, openIssues, closedIssues, milestones, items}>} Lanes by due date, "No milestone" last
+ */
+function groupByMilestone(items) {
+    const lanes = new Map();
+    
+    items.forEach(item => {
+        const milestone = item.milestone;
+        const key = milestone ? milestone.title : NO_MILESTONE_KEY;
+        
+        if (!lanes.has(key)) {
+            lanes.set(key, { key, title: milestone ? milestone.title : 'No milestone', milestones: new Map(), items: [] });
+        }
+        
+        const lane = lanes.get(key);
+        lane.items.push(item);
+        if (milestone) {
+            // Each repository's milestone is counted once
+            lane.milestones.set(`${item.repoName}#${milestone.number}`, { ...milestone, repoName: item.repoName });
+        }
+    });
+    
+    return [...lanes.values()].map(lane => {
+        const milestones = [...lane.milestones.values()];
+        const dueDates = milestones.map(milestone => milestone.due_on).filter(due => due).sort();
+        
+        return {
+            ...lane,
+            milestones,
+            dueOn: dueDates[0] || null,
+            openIssues: milestones.reduce((total, milestone) => total + (milestone.open_issues || 0), 0),
+            closedIssues: milestones.reduce((total, milestone) => total + (milestone.closed_issues || 0), 0),
+            closed: milestones.length > 0 && milestones.every(milestone => milestone.state === 'closed')
+        };
+    }).sort((a, b) => {
+        if (a.key === NO_MILESTONE_KEY) return 1;
+        if (b.key === NO_MILESTONE_KEY) return -1;
+        if (a.dueOn && b.dueOn) return a.dueOn.localeCompare(b.dueOn);
+        if (a.dueOn || b.dueOn) return a.dueOn ? -1 : 1;
+        return a.title.localeCompare(b.title);
+    });
+}
+
+/**
+ * Get the visible items grouped and sorted as in the swimlanes (for exports)
+ */
+function getExportGroups() {
+    const allItems = filterItems(getLoadedRepositories().flatMap(r => [...r.issues, ...r.pullRequests]));
+    return groupByMilestone(allItems).map(lane => ({ title: lane.title, items: sortMilestoneItems(lane.items) }));
+}
+
+/**
+ * Sort items - default order: open items first, then by reactions count (descending)
+ */
+function sortMilestoneItems(items) {
+    return sortItems(items, (a, b) => {
+        if (a.state !== b.state) return a.state === 'open' ? -1 : 1;
+        return getTotalReactions(b.reactions) - getTotalReactions(a.reactions);
+    });
+}
+
+/**
+ * Render the milestone swimlanes for all loaded repositories with the active filters
+ */
+function renderMilestones() {
+    const swimlanesEl = document.getElementById('swimlanes');
+    swimlanesEl.innerHTML = '';
+    
+    const allItems = filterItems(getLoadedRepositories().flatMap(r => [...r.issues, ...r.pullRequests]));
+    
+    groupByMilestone(allItems).forEach(lane => {
+        renderMilestoneSwimlane(lane);
+    });
+    
+    if (allItems.length === 0 && getLoadedRepositories().length > 0) {
+        swimlanesEl.innerHTML = hasActiveFilters() ?
+            '<div class="empty-state">No issues or PRs match the current filters</div>' :
+            '<div class="empty-state">No issues or PRs found</div>';
+    }
+    
+    // Repositories that failed or are still loading
+    swimlanesEl.insertAdjacentHTML('beforeend', renderRepositoryStatusCards());
+}
+
+/**
+ * Get the overdue warning of a milestone lane ('' when on track)
+ */
+function getOverdueWarning(lane) {
+    if (!lane.dueOn || lane.closed || lane.openIssues === 0) return '';
+    
+    const overdueDays = Math.floor((Date.now() - new Date(lane.dueOn).getTime()) / (24 * 60 * 60 * 1000));
+    if (overdueDays < 1) return '';
+    
+    return `⚠️ Overdue by ${overdueDays} day${overdueDays !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Render a swimlane for a milestone
+ */
+function renderMilestoneSwimlane(lane) {
+    const swimlanesEl = document.getElementById('swimlanes');
+    const { key, title, dueOn, openIssues, closedIssues, milestones, items } = lane;
+    
+    const swimlane = document.createElement('div');
+    swimlane.className = expandedSwimlanes.has(key) ? 'swimlane' : 'swimlane collapsed';
+    swimlane.dataset.lane = key;
+    
+    const repos = [...new Set(items.map(item => item.repoName))];
+    const prCount = items.filter(item => item.pull_request).length;
+    const isMilestone = key !== NO_MILESTONE_KEY;
+    
+    // Progress comes from the milestone API counts, so it includes items that aren't loaded
+    const total = openIssues + closedIssues;
+    const progress = total > 0 ? Math.round((closedIssues / total) * 100) : 0;
+    const overdueWarning = getOverdueWarning(lane);
+    
+    const milestoneLinks = milestones.map(milestone =>
+        `<a href="${milestone.html_url}" target="_blank" rel="noopener noreferrer" class="milestone-link" onclick="event.stopPropagation();">${escapeHtml(milestone.repoName)} ↗️</a>`
+    ).join('');
+    
+    swimlane.innerHTML = `
+        <div class="swimlane-header" ${getSwimlaneHeaderAttributes(expandedSwimlanes.has(key))}>
+            <div class="swimlane-title">
+                <div class="swimlane-title-main">
+                    <span class="collapse-icon">▼</span>
+                    <span>${isMilestone ? '🎯' : '📭'} ${escapeHtml(title)}</span>
+                    ${lane.closed ? '<span class="milestone-closed-badge">✅ Closed</span>' : ''}
+                </div>
+                ${isMilestone ? `<div class="milestone-links">${milestoneLinks}</div>` : ''}
+            </div>
+            <div class="swimlane-stats">
+                ${isMilestone ? `
+                    <div>
+                        <span>📅 ${dueOn ? `Due ${formatDate(dueOn)}` : 'No due date'}</span>
+                        <span>🟢 Open: ${openIssues}</span>
+                        <span>✅ Closed: ${closedIssues}</span>
+                    </div>
+                ` : ''}
+                <div>
+                    <span>📝 Items: ${items.length}</span>
+                    ${prCount > 0 ? `<span class="stat-prs">🔀 PRs: ${prCount}</span>` : ''}
+                    <span>📂 Repos: ${repos.length}</span>
+                </div>
+                ${isMilestone ? `
+                    <div class="milestone-progress" title="${closedIssues} of ${total} closed">
+                        <div class="milestone-progress-bar${overdueWarning ? ' overdue' : ''}" style="width: ${progress}%"></div>
+                        <span class="milestone-progress-text">${progress}% complete</span>
+                    </div>
+                ` : ''}
+                ${overdueWarning ? `<div class="milestone-overdue">${overdueWarning}</div>` : ''}
+            </div>
+        </div>
+        <div class="swimlane-content">
+            ${isBoardMode() ? renderBoard(items, renderItems) : renderItems(items)}
+        </div>
+    `;
+    
+    // Add click handler for collapsing
+    const header = swimlane.querySelector('.swimlane-header');
+    header.addEventListener('click', () => {
+        swimlane.classList.toggle('collapsed');
+        header.setAttribute('aria-expanded', String(!swimlane.classList.contains('collapsed')));
+        if (swimlane.classList.contains('collapsed')) {
+            expandedSwimlanes.delete(key);
+        } else {
+            expandedSwimlanes.add(key);
+        }
+    });
+    
+    swimlanesEl.appendChild(swimlane);
+}
+
+/**
+ * Render a list of items
+ */
+function renderItems(items) {
+    return renderItemCards(sortMilestoneItems(items), { showMilestone: false });
+}
@@ -0,0 +1,365 @@
+import { setupJsonConfigEditor } from './shared.mjs';
+import { CLASSIFICATION_TYPES } from './classification.mjs';
+
+// Storage key for the notification rules
+const NOTIFICATIONS_STORAGE_KEY = 'github_notification_settings';
+const NOTIFICATIONS_VERSION = 1;
+
+// Storage keys of the opt-in switch and of the items pinned in the detail panel
+const NOTIFICATIONS_ENABLED_KEY = 'githubNotifications';
+const PINNED_STORAGE_KEY = 'github_pinned_items';
+
+// Notifications shown per repository and refresh - the rest are summed up in one more
+const MAX_NOTIFICATIONS_PER_REPO = 3;
+
+// Default rules - new bugs, new PRs and new comments on pinned items
+const DEFAULT_NOTIFICATION_RULES = {
+    newIssues: ['bug'],
+    newPullRequests: true,
+    pinnedComments: true
+};
+
+// Notification titles of new issues by type
+const NEW_ISSUE_TITLES = {
+    bug: '🐛 New bug',
+    feature: '✨ New feature request',
+    task: '📋 New task',
+    other: '📝 New issue'
+};
+
+// State
+let notificationSettings = loadNotificationSettings();
+const pinnedItems = loadPinnedItems();
+let openItemHandler = null;
+
+/**
+ * Get the default notification settings
+ */
+export function getDefaultNotificationSettings() {
+    return {
+        version: NOTIFICATIONS_VERSION,
+        ...DEFAULT_NOTIFICATION_RULES,
+        newIssues: [...DEFAULT_NOTIFICATION_RULES.newIssues],
+        repos: {}
+    };
+}
+
+/**
+ * Load the notification settings from localStorage (falls back to the defaults)
+ */
+function loadNotificationSettings() {
+    try {
+        const saved = localStorage.getItem(NOTIFICATIONS_STORAGE_KEY);
+        if (saved) {
+            return validateNotificationSettings(JSON.parse(saved));
+        }
+    } catch (error) {
+        console.error('Notification settings read error:', error);
+    }
+    return getDefaultNotificationSettings();
+}
+
+/**
+ * Validate the rules of the global settings or of a repository override
+ * @param {boolean} partial - Overrides only contain the rules they change
+ */
+function validateRules(candidate, location, partial) {
+    if (!candidate || typeof candidate !== 'object') {
+        throw new Error(`${location} must be an object`);
+    }
+    
+    const rules = {};
+    if (candidate.newIssues !== undefined || !partial) {
+        const newIssues = candidate.newIssues ?? DEFAULT_NOTIFICATION_RULES.newIssues;
+        if (!Array.isArray(newIssues) || newIssues.some(type => !CLASSIFICATION_TYPES.includes(type))) {
+            throw new Error(`${location}newIssues must be an array of ${CLASSIFICATION_TYPES.join(', ')}`);
+        }
+        rules.newIssues = [...newIssues];
+    }
+    ['newPullRequests', 'pinnedComments'].forEach(key => {
+        if (candidate[key] === undefined && partial) return;
+        const value = candidate[key] ?? DEFAULT_NOTIFICATION_RULES[key];
+        if (typeof value !== 'boolean') {
+            throw new Error(`${location}${key} must be true or false`);
+        }
+        rules[key] = value;
+    });
+    return rules;
+}
+
+/**
+ * Validate notification settings and return a normalized copy
+ */
+export function validateNotificationSettings(candidate) {
+    if (!candidate || typeof candidate !== 'object') {
+        throw new Error('Notification settings must be an object');
+    }
+    
+    const repos = {};
+    Object.entries(candidate.repos || {}).forEach(([repo, rules]) => {
+        if (!repo.includes('/')) {
+            throw new Error(`repos["${repo}"] must be an owner/repo`);
+        }
+        repos[repo] = validateRules(rules, `repos["${repo}"].`, true);
+    });
+    
+    return {
+        version: NOTIFICATIONS_VERSION,
+        ...validateRules(candidate, '', false),
+        repos
+    };
+}
+
+/**
+ * Parse, validate and save notification settings from JSON text
+ */
+export function importNotificationSettings(jsonText) {
+    let parsed;
+    try {
+        parsed = JSON.parse(jsonText);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    notificationSettings = validateNotificationSettings(parsed);
+    localStorage.setItem(NOTIFICATIONS_STORAGE_KEY, JSON.stringify(notificationSettings));
+    return notificationSettings;
+}
+
+/**
+ * Restore the default notification settings
+ */
+export function resetNotificationSettings() {
+    localStorage.removeItem(NOTIFICATIONS_STORAGE_KEY);
+    notificationSettings = getDefaultNotificationSettings();
+    return notificationSettings;
+}
+
+/**
+ * Serialize the active notification settings for export
+ */
+export function exportNotificationSettings() {
+    return JSON.stringify(notificationSettings, null, 2);
+}
+
+/**
+ * Get the rules of a repository (its override on top of the global rules)
+ */
+function getRepositoryRules(repo) {
+    const override = Object.entries(notificationSettings.repos)
+        .find(([name]) => name.toLowerCase() === repo.toLowerCase());
+    return { ...notificationSettings, ...(override ? override[1] : {}) };
+}
+
+/**
+ * Load the pinned items from localStorage (owner/repo#number keys)
+ */
+function loadPinnedItems() {
+    try {
+        const saved = localStorage.getItem(PINNED_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed)) {
+                return new Set(parsed);
+            }
+        }
+    } catch (error) {
+        console.error('Pinned items read error:', error);
+    }
+    return new Set();
+}
+
+/**
+ * Get the key of an issue or PR across repositories (owner/repo#number)
+ */
+function getItemKey(item) {
+    return `${item.repoName}#${item.number}`;
+}
+
+/**
+ * Check whether an item is pinned
+ */
+export function isPinned(item) {
+    return pinnedItems.has(getItemKey(item));
+}
+
+/**
+ * Pin or unpin an item
+ */
+function togglePinned(key) {
+    if (pinnedItems.has(key)) {
+        pinnedItems.delete(key);
+    } else {
+        pinnedItems.add(key);
+    }
+    localStorage.setItem(PINNED_STORAGE_KEY, JSON.stringify([...pinnedItems]));
+}
+
+/**
+ * Show the 📌 Pin button of an item in the detail panel header
+ */
+export function showPinButton(item) {
+    const header = document.querySelector('#iframePanel .iframe-header');
+    if (!header) return;
+    
+    let button = document.getElementById('pinItemBtn');
+    if (!button) {
+        button = document.createElement('button');
+        button.type = 'button';
+        button.id = 'pinItemBtn';
+        button.className = 'pin-item-btn';
+        header.insertBefore(button, document.getElementById('closeIframe'));
+        button.addEventListener('click', () => {
+            togglePinned(button.dataset.key);
+            updatePinButton(button);
+        });
+    }
+    
+    button.dataset.key = getItemKey(item);
+    updatePinButton(button);
+}
+
+/**
+ * Update the label of the Pin button
+ */
+function updatePinButton(button) {
+    const pinned = pinnedItems.has(button.dataset.key);
+    button.textContent = pinned ? '📌 Pinned' : '📌 Pin';
+    button.title = pinned ?
+        'Stop notifying about new comments' :
+        'Notify about new comments (with desktop notifications on)';
+    button.setAttribute('aria-pressed', String(pinned));
+}
+
+/**
+ * Check whether notifications are turned on and allowed by the browser
+ */
+export function canNotify() {
+    return localStorage.getItem(NOTIFICATIONS_ENABLED_KEY) === '1' &&
+        'Notification' in window &&
+        Notification.permission === 'granted';
+}
+
+/**
+ * Show a desktop notification - clicking it focuses the tab and opens the item in the detail panel
+ * @param {Object|null} item - Item to open, or null to only focus the tab
+ */
+function showNotification(title, body, item) {
+    try {
+        const notification = new Notification(title, { body, tag: item ? getItemKey(item) : title });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+            if (item && openItemHandler) {
+                openItemHandler(item);
+            }
+        };
+    } catch (error) {
+        console.error('Notification error:', error);
+    }
+}
+
+/**
+ * Notify about what a refresh found in a repository: new issues and PRs, new comments on pinned items
+ * @param {Object|undefined} previous - The repository data shown before the refresh
+ * @param {Object} current - The refreshed repository data
+ */
+export function notifyRepositoryChanges(previous, current) {
+    if (!previous || !canNotify()) return;
+    
+    const rules = getRepositoryRules(current.repo);
+    const previousItems = new Map([...previous.issues, ...previous.pullRequests].map(item => [item.number, item]));
+    const previousFetchedAt = previous.fetchedAt || previous._cacheTimestamp || Date.now();
+    const notifications = [];
+    
+    [...current.issues, ...current.pullRequests].forEach(item => {
+        const before = previousItems.get(item.number);
+        const title = `#${item.number} ${item.title}`;
+        
+        // Older items also show up when they are reopened or updated into the loaded window - only
+        // items opened after the previous data was fetched are new
+        if (!before) {
+            const isNew = Date.parse(item.created_at) > previousFetchedAt;
+            if (isNew && (item.pull_request ? rules.newPullRequests : rules.newIssues.includes(item.type))) {
+                const kind = item.pull_request ? '🔀 New pull request' : NEW_ISSUE_TITLES[item.type] || NEW_ISSUE_TITLES.other;
+                notifications.push({ title: `${kind} in ${current.repo}`, body: title, item });
+            }
+            return;
+        }
+        
+        const newComments = (item.comments || 0) - (before.comments || 0);
+        if (rules.pinnedComments && newComments > 0 && isPinned(item)) {
+            notifications.push({
+                title: `💬 ${newComments} new comment${newComments !== 1 ? 's' : ''} on ${current.repo}#${item.number}`,
+                body: item.title,
+                item
+            });
+        }
+    });
+    
+    notifications.slice(0, MAX_NOTIFICATIONS_PER_REPO).forEach(({ title, body, item }) => {
+        showNotification(title, body, item);
+    });
+    
+    const more = notifications.length - MAX_NOTIFICATIONS_PER_REPO;
+    if (more > 0) {
+        showNotification(`🔔 ${more} more update${more !== 1 ? 's' : ''} in ${current.repo}`, 'Open the tracker to see them', null);
+    }
+}
+
+/**
+ * Setup the notification opt-in switch and rules editor
+ * @param {Function} onOpenItem - Opens an item in the detail panel (when its notification is clicked)
+ */
+export function setupNotifications(onOpenItem) {
+    openItemHandler = onOpenItem;
+    
+    setupJsonConfigEditor({
+        prefix: 'notifications',
+        exportJson: exportNotificationSettings,
+        importJson: importNotificationSettings,
+        reset: resetNotificationSettings,
+        describe: () => `${Object.keys(notificationSettings.repos).length} repository overrides`,
+        filename: 'notification-settings.json'
+    });
+    
+    const enabledInput = document.getElementById('notificationsEnabled');
+    const status = document.getElementById('notificationsStatus');
+    if (!enabledInput) return;
+    
+    const showStatus = (message, isError = false) => {
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('rules-status-error', isError);
+    };
+    
+    const supported = 'Notification' in window;
+    enabledInput.checked = localStorage.getItem(NOTIFICATIONS_ENABLED_KEY) === '1' &&
+        supported && Notification.permission === 'granted';
+    enabledInput.disabled = !supported;
+    if (!supported) {
+        showStatus('❌ This browser doesn\'t support desktop notifications', true);
+    }
+    
+    enabledInput.addEventListener('change', async () => {
+        if (!enabledInput.checked) {
+            localStorage.setItem(NOTIFICATIONS_ENABLED_KEY, '0');
+            showStatus('Notifications off');
+            return;
+        }
+        
+        // The browser asks once - a denied permission can only be changed in the site settings
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            enabledInput.checked = false;
+            localStorage.setItem(NOTIFICATIONS_ENABLED_KEY, '0');
+            showStatus('❌ Notifications are blocked - allow them for this site in the browser settings', true);
+            return;
+        }
+        
+        localStorage.setItem(NOTIFICATIONS_ENABLED_KEY, '1');
+        const autoRefresh = document.getElementById('autoRefresh');
+        showStatus(autoRefresh && autoRefresh.value === '0' ?
+            '✓ Notifications on - turn on Auto-refresh to check for new items in the background' :
+            '✓ Notifications on - checked on every auto-refresh');
+    });
+}
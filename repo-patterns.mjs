@@ -0,0 +1,89 @@
+// Prefixes that add every repository of an organization or user (org:name, user:name)
+const OWNER_PREFIXES = { 'org:': 'org', 'user:': 'user' };
+
+// Cache of compiled glob patterns
+const globCache = new Map();
+
+/**
+ * Check whether a repository list line is a valid entry
+ * (owner/repo, owner/glob, !owner/glob, org:name or user:name)
+ */
+export function isRepoEntry(line) {
+    const entry = line.replace(/^!/, '');
+    return /^[\w.-]+\/[\w.*?-]+$/.test(entry) || /^(org|user):[\w.-]+$/i.test(entry);
+}
+
+/**
+ * Split repository list text (one entry per line) into valid entries
+ */
+export function parseRepoList(text) {
+    return text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line && isRepoEntry(line));
+}
+
+/**
+ * Check whether an entry needs expanding through the repos API
+ */
+export function isPatternEntry(entry) {
+    return entry.startsWith('!') || /[*?]/.test(entry) || /^(org|user):/i.test(entry);
+}
+
+/**
+ * Check whether a repository name matches a glob (* any characters, ? one character, case-insensitive)
+ */
+export function matchesGlob(glob, name) {
+    if (!globCache.has(glob)) {
+        const source = glob.split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        globCache.set(glob, new RegExp(`^${source}$`, 'i'));
+    }
+    return globCache.get(glob).test(name);
+}
+
+/**
+ * Parse repository entries into plain repositories, owner patterns to expand and exclusions
+ * - owner/repo adds one repository
+ * - owner/* or owner/foundry-* adds the matching repositories of the owner
+ * - org:name and user:name add every repository of an organization or user
+ * - !owner/glob removes matching repositories (also plain ones)
+ * @param {Array<string>} entries - Repository list entries
+ * @returns {{repos: Array<string>, includes: Array<{owner, ownerType, glob}>, excludes: Array<{owner, glob}>}}
+ */
+export function parseRepoEntries(entries) {
+    const repos = [];
+    const includes = [];
+    const excludes = [];
+    
+    entries.forEach(entry => {
+        if (entry.startsWith('!')) {
+            const [owner, glob] = entry.slice(1).split('/');
+            if (owner && glob) excludes.push({ owner, glob });
+            return;
+        }
+        
+        const prefix = Object.keys(OWNER_PREFIXES).find(candidate => entry.toLowerCase().startsWith(candidate));
+        if (prefix) {
+            includes.push({ owner: entry.slice(prefix.length), ownerType: OWNER_PREFIXES[prefix], glob: '*' });
+        } else if (isPatternEntry(entry)) {
+            const [owner, glob] = entry.split('/');
+            // owner/* works for organizations and users alike
+            includes.push({ owner, ownerType: null, glob });
+        } else {
+            repos.push(entry);
+        }
+    });
+    
+    return { repos, includes, excludes };
+}
+
+/**
+ * Check whether a repository (owner/repo) is excluded
+ */
+export function isExcluded(repo, excludes) {
+    const [owner, name] = repo.split('/');
+    return excludes.some(exclude => exclude.owner.toLowerCase() === owner.toLowerCase() && matchesGlob(exclude.glob, name));
+}
@@ -1,12 +1,125 @@
+import {
+    getEntry,
+    getEntryInfos,
+    setEntry,
+    updateEntry,
+    deleteEntries,
+    formatBytes
+} from './cache-store.mjs';
+import {
+    classifyByRules,
+    getRuleSet,
+    resetRuleSet,
+    importRuleSet,
+    exportRuleSet
+} from './classification.mjs';
+import { renderMarkdown } from './markdown.mjs';
+import {
+    getWorkspaces,
+    getActiveWorkspace,
+    syncActiveWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+    getWorkspaceUrl,
+    leaveWorkspace
+} from './workspaces.mjs';
+import {
+    parseRepoList,
+    parseRepoEntries,
+    isRepoEntry,
+    matchesGlob,
+    isExcluded
+} from './repo-patterns.mjs';
+import {
+    GRAPHQL_BATCH_SIZE,
+    getRepositoryAlias,
+    buildRepositoriesQuery,
+    normalizeIssueNode,
+    normalizePullRequestNode
+} from './graphql-data.mjs';
+import { getCardAttributes } from './keyboard.mjs';
+import {
+    recordRepositoryChanges,
+    resetChanges,
+    getChangeAttributes,
+    formatChangeBadge,
+    pulseChangedSwimlanes,
+    setupChangesSummary,
+    setupAutoRefresh
+} from './changes.mjs';
+import { setupNotifications, showPinButton, notifyRepositoryChanges, canNotify } from './notifications.mjs';
+import { updateFilterOptions } from './filters.mjs';
+
 // GitHub API configuration
 const GITHUB_API_BASE = 'https://api.github.com';
+const GITHUB_GRAPHQL_URL = `${GITHUB_API_BASE}/graphql`;
 
 // Cache configuration (1 hour default)
 const CACHE_DURATION_MS = 60 * 60 * 1000;
 const CACHE_KEY_PREFIX = 'github_cache_';
 
+// Issue comments are cached separately and reused while the issue is unchanged
+const COMMENTS_CACHE_PREFIX = 'github_comments_';
+const COMMENTS_PER_PAGE = 30;
+
+// Pull request panel data (branches, files, reviews) is cached the same way
+const PR_PANEL_CACHE_PREFIX = 'github_pr_';
+const PR_FILES_MAX_PAGES = 3;
+
+// Repository lists of organizations and users (for owner/* and org:name entries) are cached the same way
+const OWNER_REPOS_CACHE_PREFIX = 'github_owner_repos_';
+const SKIP_EMPTY_REPOS_KEY = 'githubSkipEmptyRepos';
+
+// Expired entries are kept this long so they can be revalidated with ETags (7 days)
+const CACHE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Pagination configuration (100 items per page)
+const PER_PAGE = 100;
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_KEY = 'githubMaxPages';
+
+// Repositories loaded at the same time (GraphQL batches with a token)
+const DEFAULT_CONCURRENCY = 6;
+const CONCURRENCY_KEY = 'githubConcurrency';
+
+// Pull request details (reviews, CI checks, mergeability) - about 4 requests per open PR
+const PR_DETAILS_KEY = 'githubPrDetails';
+const PR_DETAILS_REQUESTS = 4;
+
+// Which issues and PRs to load (stored in the query string as state= and since=)
+const ITEM_STATES = ['open', 'closed', 'all'];
+const DEFAULT_ITEM_STATE = 'open';
+
+// Rate limit configuration - stop fetching while this many requests are still left
+const RATE_LIMIT_KEY = 'github_rate_limit';
+const RATE_LIMIT_RESERVE = 5;
+
+// Rate limit buckets that are tracked - REST (core) requests and GraphQL points are counted separately
+const RATE_LIMIT_RESOURCES = ['core', 'graphql'];
+
+// Transient failures (5xx responses, network errors) are retried with exponential backoff (1s, 2s, 4s)
+const RETRY_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+
 // State
 let githubToken = '';
+let maxPages = DEFAULT_MAX_PAGES;
+let concurrency = DEFAULT_CONCURRENCY;
+let prDetailsEnabled = false;
+let skipEmptyRepos = false;
+let itemQuery = getItemQueryFromQueryString();
+const loadingProgress = new Map();
+let rateLimits = loadRateLimits();
+const pendingRequests = { core: 0, graphql: 0 };
+
+// Repositories of the page's view (see setupRepositoryLoader)
+let repositoryView = null;
+let loadedRepos = [];
+let pendingRepos = new Set();
+let failedRepos = new Map();
+let repoOrder = [];
 
 /**
  * Get repositories from query string
@@ -22,13 +135,105 @@ export function getRepositoriesFromQueryString() {
     return null;
 }
 
+/**
+ * Get the item state (open / closed / all) and "closed since" date from the query string
+ */
+export function getItemQueryFromQueryString() {
+    const params = new URLSearchParams(window.location.search);
+    return normalizeItemQuery({ state: params.get('state'), since: params.get('since') });
+}
+
+/**
+ * Normalize an item query, falling back to open items and dropping invalid dates
+ */
+function normalizeItemQuery({ state, since }) {
+    return {
+        state: ITEM_STATES.includes(state) ? state : DEFAULT_ITEM_STATE,
+        since: /^\d{4}-\d{2}-\d{2}$/.test(since || '') && !isNaN(Date.parse(since)) ? since : ''
+    };
+}
+
+/**
+ * Set which issues and PRs are loaded and store the choice in the query string
+ */
+export function setItemQuery(query) {
+    itemQuery = normalizeItemQuery(query);
+    
+    const url = new URL(window.location);
+    if (itemQuery.state === DEFAULT_ITEM_STATE) {
+        url.searchParams.delete('state');
+    } else {
+        url.searchParams.set('state', itemQuery.state);
+    }
+    // "Closed since" doesn't apply to open-only loads
+    if (itemQuery.since && itemQuery.state !== 'open') {
+        url.searchParams.set('since', itemQuery.since);
+    } else {
+        url.searchParams.delete('since');
+    }
+    window.history.replaceState({}, '', url);
+    updateViewSwitcherLinks();
+}
+
+/**
+ * Get which issues and PRs are loaded ({ state, since })
+ */
+export function getItemQuery() {
+    return itemQuery;
+}
+
 /**
  * Set the GitHub token
  */
 export function setGitHubToken(token) {
+    // A different token has its own rate limit bucket - the saved one's limit was persisted with it,
+    // so restoring the saved token on page load keeps it
+    const previousToken = githubToken || localStorage.getItem('githubToken') || '';
+    if (token !== previousToken) {
+        rateLimits = {};
+        localStorage.removeItem(RATE_LIMIT_KEY);
+        updateRateLimitStatus();
+    }
     githubToken = token;
 }
 
+/**
+ * Set the maximum number of pages fetched per repository
+ */
+export function setMaxPages(pages) {
+    const parsed = parseInt(pages, 10);
+    maxPages = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_MAX_PAGES;
+}
+
+/**
+ * Get the maximum number of pages fetched per repository
+ */
+export function getMaxPages() {
+    return maxPages;
+}
+
+/**
+ * Set how many repositories (or GraphQL batches) are loaded at the same time
+ */
+export function setConcurrency(limit) {
+    const parsed = parseInt(limit, 10);
+    concurrency = Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_CONCURRENCY;
+}
+
+/**
+ * Enable or disable fetching pull request details
+ */
+export function setPullRequestDetailsEnabled(enabled) {
+    prDetailsEnabled = Boolean(enabled);
+}
+
+/**
+ * Enable or disable skipping expanded repositories without open issues
+ */
+export function setSkipEmptyRepos(enabled) {
+    skipEmptyRepos = Boolean(enabled);
+}
+
 /**
  * Generate a consistent color for a repository name
  */
@@ -58,10 +263,230 @@ export function getGitHubToken() {
     return githubToken;
 }
 
+/**
+ * Load the last known rate limits from localStorage ({ core, graphql })
+ */
+function loadRateLimits() {
+    const rateLimits = {};
+    try {
+        const saved = JSON.parse(localStorage.getItem(RATE_LIMIT_KEY));
+        // Older versions saved only the REST (core) limit
+        const byResource = saved && 'remaining' in saved ? { core: saved } : saved || {};
+        RATE_LIMIT_RESOURCES.forEach(resource => {
+            // Ignore values from a window that has already reset
+            const value = byResource[resource];
+            if (value && value.reset * 1000 > Date.now()) {
+                rateLimits[resource] = value;
+            }
+        });
+    } catch (error) {
+        console.error('Rate limit read error:', error);
+    }
+    return rateLimits;
+}
+
+/**
+ * Record the X-RateLimit-* headers of a response
+ */
+function recordRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    const reset = response.headers.get('X-RateLimit-Reset');
+    if (remaining === null || reset === null) return;
+    
+    // Search and the other buckets aren't used for loading repositories
+    const resource = response.headers.get('X-RateLimit-Resource') || 'core';
+    if (!RATE_LIMIT_RESOURCES.includes(resource)) return;
+    
+    rateLimits[resource] = {
+        limit: parseInt(response.headers.get('X-RateLimit-Limit'), 10) || null,
+        remaining: parseInt(remaining, 10),
+        reset: parseInt(reset, 10)
+    };
+    localStorage.setItem(RATE_LIMIT_KEY, JSON.stringify(rateLimits));
+    updateRateLimitStatus();
+}
+
+/**
+ * Get the current rate limit state ({ limit, remaining, reset } or null when unknown)
+ * @param {string} resource - 'core' for REST requests, 'graphql' for GraphQL points
+ */
+export function getRateLimit(resource = 'core') {
+    const current = rateLimits[resource];
+    if (current && current.reset * 1000 <= Date.now()) {
+        delete rateLimits[resource];
+        return null;
+    }
+    return current || null;
+}
+
+/**
+ * Check whether enough requests are left to schedule another one
+ * Requests already in flight are counted against the remaining budget
+ * @param {string} resource - 'core' for REST requests, 'graphql' for GraphQL points
+ */
+export function hasRateLimitBudget(requests = 1, resource = 'core') {
+    const current = getRateLimit(resource);
+    if (!current) return true;
+    
+    return current.remaining - pendingRequests[resource] - requests >= RATE_LIMIT_RESERVE;
+}
+
+/**
+ * Format the rate limit reset time as HH:MM
+ * @param {string} resource - 'core' for REST requests, 'graphql' for GraphQL points
+ */
+export function getRateLimitResetTime(resource = 'core') {
+    const current = getRateLimit(resource);
+    if (!current) return '';
+    
+    return new Date(current.reset * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Update rate limit status display
+ */
+export function updateRateLimitStatus() {
+    const rateLimitStatus = document.getElementById('rateLimitStatus');
+    if (!rateLimitStatus) return;
+    
+    const current = getRateLimit();
+    const graphql = getRateLimit('graphql');
+    if (!current && !graphql) {
+        rateLimitStatus.textContent = '';
+        rateLimitStatus.classList.remove('rate-limit-low');
+        return;
+    }
+    
+    const parts = [];
+    if (current) {
+        const limitText = current.limit ? `/${current.limit}` : '';
+        parts.push(`${current.remaining}${limitText} requests left, resets at ${getRateLimitResetTime()}`);
+    }
+    if (graphql) {
+        const limitText = graphql.limit ? `/${graphql.limit}` : '';
+        parts.push(`GraphQL ${graphql.remaining}${limitText} points left, resets at ${getRateLimitResetTime('graphql')}`);
+    }
+    rateLimitStatus.textContent = `⏱️ ${parts.join(' • ')}`;
+    rateLimitStatus.classList.toggle('rate-limit-low', !hasRateLimitBudget(0) || !hasRateLimitBudget(0, 'graphql'));
+}
+
 /**
  * Fetch data from GitHub API
  */
 export async function fetchGitHub(url) {
+    const { data } = await requestGitHub(url);
+    return data;
+}
+
+/**
+ * Extract the rel="next" URL from a GitHub Link header
+ */
+function getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+    
+    const match = linkHeader.split(',')
+        .map(part => part.match(/<([^>]+)>;\s*rel="([^"]+)"/))
+        .find(m => m && m[2] === 'next');
+    
+    return match ? match[1] : null;
+}
+
+/**
+ * Fetch every page of a list endpoint by following Link: rel="next" headers
+ * @param {string} url - First page URL
+ * @param {Function} onPage - Called with (pageNumber, itemsSoFar) after each page
+ * @param {Array|null} cachedValidators - Validators from a previous fetch, used to revalidate
+ * @returns {Promise<{items: Array, truncated: boolean, validators: Array, notModified: boolean}>}
+ */
+export async function fetchAllPages(url, onPage = null, cachedValidators = null) {
+    // Revalidate cached pages first - 304 responses don't count against the rate limit
+    if (cachedValidators && cachedValidators.length > 0 && await revalidatePages(cachedValidators)) {
+        return { items: [], truncated: false, validators: cachedValidators, notModified: true };
+    }
+    
+    const items = [];
+    const validators = [];
+    let nextUrl = url;
+    let page = 0;
+    let rateLimited = false;
+    
+    while (nextUrl && page < maxPages) {
+        // Stop following pages before the rate limit is exhausted
+        if (page > 0 && !hasRateLimitBudget()) {
+            rateLimited = true;
+            break;
+        }
+        
+        const { data, response } = await requestGitHub(nextUrl);
+        page++;
+        items.push(...data);
+        validators.push(getValidators(nextUrl, response));
+        if (onPage) onPage(page, items.length);
+        nextUrl = getNextPageUrl(response.headers.get('Link'));
+    }
+    
+    // A remaining next link means we stopped at the page cap (or the rate limit)
+    return { items, truncated: Boolean(nextUrl), rateLimited, validators, notModified: false };
+}
+
+/**
+ * Check whether every cached page is still current using conditional requests
+ */
+async function revalidatePages(validators) {
+    for (const validator of validators) {
+        if (!validator.etag && !validator.lastModified) return false;
+        
+        const { notModified } = await requestGitHub(validator.url, validator);
+        if (!notModified) return false;
+    }
+    return true;
+}
+
+/**
+ * Extract the cache validators (ETag / Last-Modified) from a response
+ */
+function getValidators(url, response) {
+    return {
+        url,
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+    };
+}
+
+/**
+ * Fetch a URL, retrying server errors (5xx) and network failures with exponential backoff
+ * Network failures that outlast the retries throw an error with status 0
+ */
+async function fetchWithRetry(url, options) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (attempt >= RETRY_ATTEMPTS) {
+                const networkError = new Error(`Network error: ${error.message}`);
+                networkError.status = 0;
+                throw networkError;
+            }
+        }
+        
+        if (response && (response.status < 500 || attempt >= RETRY_ATTEMPTS)) {
+            return response;
+        }
+        
+        // Wait 1s, 2s, 4s... with some jitter so parallel requests don't retry in lockstep
+        const delay = RETRY_BASE_DELAY_MS * 2 ** attempt * (1 + Math.random() / 4);
+        console.log(`Retrying ${url} in ${Math.round(delay)}ms (${response ? `HTTP ${response.status}` : 'network error'})`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+}
+
+/**
+ * Perform a GitHub API request and return both the parsed body and the response
+ * @param {string} url - Request URL
+ * @param {Object|null} validator - Optional { etag, lastModified } for a conditional request
+ */
+async function requestGitHub(url, validator = null) {
     const headers = {
         'Accept': 'application/vnd.github.v3+json'
     };
@@ -70,7 +495,24 @@ export async function fetchGitHub(url) {
         headers['Authorization'] = `token ${githubToken}`;
     }
 
-    const response = await fetch(url, { headers });
+    if (validator?.etag) {
+        headers['If-None-Match'] = validator.etag;
+    } else if (validator?.lastModified) {
+        headers['If-Modified-Since'] = validator.lastModified;
+    }
+
+    let response;
+    pendingRequests.core++;
+    try {
+        response = await fetchWithRetry(url, { headers });
+    } finally {
+        pendingRequests.core--;
+    }
+    recordRateLimit(response);
+
+    if (response.status === 304) {
+        return { data: null, response, notModified: true };
+    }
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({ message: response.statusText }));
@@ -86,10 +528,71 @@ export async function fetchGitHub(url) {
             }
         }
         
-        throw new Error(error.message || `HTTP ${response.status}`);
+        const requestError = new Error(error.message || `HTTP ${response.status}`);
+        requestError.status = response.status;
+        throw requestError;
     }
 
-    return response.json();
+    const data = await response.json();
+    return { data, response, notModified: false };
+}
+
+/**
+ * Run a GraphQL query against the GitHub API (requires a token)
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} The "data" of the response
+ */
+export async function fetchGitHubGraphQL(query, variables = {}) {
+    const result = await requestGitHubGraphQL(query, variables);
+    if (result.errors && result.errors.length > 0) {
+        throw new Error(result.errors.map(error => error.message).join('; '));
+    }
+    
+    return result.data;
+}
+
+/**
+ * Perform a GraphQL request and return the whole result, so partial data (e.g. one of several
+ * aliased repositories not found) can be used next to its errors
+ * @returns {Promise<{data, errors}>}
+ */
+async function requestGitHubGraphQL(query, variables = {}) {
+    if (!githubToken) {
+        throw new Error('A GitHub token is required for GraphQL requests');
+    }
+    
+    // Don't send another query when the GraphQL points are about to run out
+    if (!hasRateLimitBudget(1, 'graphql')) {
+        const requestError = new Error(`GraphQL rate limit nearly exhausted, resets at ${getRateLimitResetTime('graphql')}`);
+        requestError.status = 429;
+        throw requestError;
+    }
+    
+    let response;
+    pendingRequests.graphql++;
+    try {
+        response = await fetchWithRetry(GITHUB_GRAPHQL_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `bearer ${githubToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ query, variables })
+        });
+    } finally {
+        pendingRequests.graphql--;
+    }
+    recordRateLimit(response);
+    
+    const result = await response.json().catch(() => ({ message: response.statusText }));
+    if (!response.ok) {
+        const requestError = new Error(result.message || `HTTP ${response.status}`);
+        requestError.status = response.status;
+        throw requestError;
+    }
+    
+    return { data: result.data || null, errors: result.errors || [] };
 }
 
 /**
@@ -98,47 +601,18 @@ export async function fetchGitHub(url) {
 export function classifyItem(item, repo = null) {
     const labels = item.labels.map(label => 
         typeof label === 'string' ? label : label.name
-    ).map(name => name.toLowerCase());
-
-    let type = 'other';
-    
-    // Check for bug indicators
-    if (labels.some(label => 
-        label === 'bug' ||
-        label === 'bugs' ||
-        label.startsWith('bug:') ||
-        label.startsWith('bug ') ||
-        label.includes('defect') ||
-        label.includes('error') ||
-        label === 'fix' ||
-        label.startsWith('fix:') ||
-        label.startsWith('fix ')
-    )) {
-        type = 'bug';
-    }
-    // Check for feature indicators
-    else if (labels.some(label => 
-        label === 'feature' ||
-        label === 'features' ||
-        label.startsWith('feature:') ||
-        label.startsWith('feature ') ||
-        label === 'enhancement' ||
-        label === 'enhancements' ||
-        label.startsWith('enhancement:') ||
-        label.startsWith('enhancement ') ||
-        label === 'improvement' ||
-        label.startsWith('improvement:') ||
-        label.startsWith('improvement ') ||
-        label === 'feat' ||
-        label.startsWith('feat:') ||
-        label.startsWith('feat ')
-    )) {
-        type = 'feature';
-    }
+    );
+
+    // Keep the GitHub issue type around so cached items can be reclassified
+    const issueType = item.issueType !== undefined ? item.issueType :
+        (item.type && typeof item.type === 'object' ? item.type : null);
+
+    // Labels and titles are matched against the configurable rules
+    let type = classifyByRules(labels, item.title, repo || item.repoName || null) || 'other';
 
     // Also check if the item has a type field (GitHub issue types)
-    if (item.type && typeof item.type === 'object' && item.type.name) {
-        const typeName = item.type.name.toLowerCase();
+    if (issueType && issueType.name) {
+        const typeName = issueType.name.toLowerCase();
         if (typeName === 'bug') {
             type = 'bug';
         } else if (typeName === 'feature') {
@@ -150,6 +624,7 @@ export function classifyItem(item, repo = null) {
 
     const result = {
         ...item,
+        issueType,
         type
     };
 
@@ -160,28 +635,52 @@ export function classifyItem(item, repo = null) {
     return result;
 }
 
+/**
+ * Reclassify the items of a repository result with the current rules
+ */
+export function reclassifyRepoData(repoData) {
+    return {
+        ...repoData,
+        issues: repoData.issues.map(item => classifyItem(item, repoData.repo)),
+        pullRequests: repoData.pullRequests.map(item => classifyItem(item, repoData.repo))
+    };
+}
+
+/**
+ * Get the cache key of a repository load (e.g. github_cache_owner/repo_closed_since_2024-01-01)
+ */
+function getCacheKey(repo, { state, since }) {
+    return `${CACHE_KEY_PREFIX}${repo}_${state}${since && state !== 'open' ? `_since_${since}` : ''}`;
+}
+
 /**
  * Get cached data for a repository
+ * Expired entries are still returned (with fresh: false) so they can be revalidated
+ * Entries cut off at a lower page cap than the current one are stale and refetched in full
  */
-function getCachedData(repo, openOnly) {
-    const cacheKey = `${CACHE_KEY_PREFIX}${repo}_${openOnly ? 'open' : 'all'}`;
+async function getCachedData(repo, query) {
+    const cacheKey = getCacheKey(repo, query);
     try {
-        const cached = localStorage.getItem(cacheKey);
+        const cached = await getEntry(cacheKey);
         if (!cached) return null;
         
-        const { data, timestamp } = JSON.parse(cached);
+        const { data, timestamp, validators = [], pageCap = 0 } = cached;
         const age = Date.now() - timestamp;
+        const undercapped = Boolean(data.truncated) && pageCap < maxPages;
         
-        // Return cached data if still fresh
-        if (age < CACHE_DURATION_MS) {
-            console.log(`Using cached data for ${repo} (${Math.round(age / 1000)}s old)`);
-            // Add cache metadata to the result
-            return { ...data, _cacheTimestamp: timestamp, _fromCache: true };
+        // Drop entries that are too old to be worth revalidating
+        if (age >= CACHE_RETENTION_MS) {
+            await deleteEntries(key => key === cacheKey);
+            return null;
         }
         
-        // Cache expired
-        localStorage.removeItem(cacheKey);
-        return null;
+        return {
+            // Add cache metadata to the result (items are reclassified in case the rules changed)
+            data: { ...reclassifyRepoData(data), _cacheTimestamp: timestamp, _fromCache: true },
+            // Without validators the refetch can't come back as 304 with the cut-off data
+            validators: undercapped ? [] : validators,
+            fresh: age < CACHE_DURATION_MS && !undercapped
+        };
     } catch (error) {
         console.error('Cache read error:', error);
         return null;
@@ -191,65 +690,378 @@ function getCachedData(repo, openOnly) {
 /**
  * Store data in cache
  */
-function setCachedData(repo, openOnly, data) {
-    const cacheKey = `${CACHE_KEY_PREFIX}${repo}_${openOnly ? 'open' : 'all'}`;
+async function setCachedData(repo, query, data, validators = [], timestamp = Date.now()) {
+    const cacheKey = getCacheKey(repo, query);
     try {
+        // Drop runtime metadata (_cacheTimestamp, _fromCache, ...) before storing
+        const cleanData = Object.fromEntries(Object.entries(data).filter(([key]) => !key.startsWith('_')));
         const cacheEntry = {
-            data,
-            timestamp: Date.now()
+            data: cleanData,
+            validators,
+            timestamp,
+            pageCap: maxPages
         };
-        localStorage.setItem(cacheKey, JSON.stringify(cacheEntry));
+        await setEntry(cacheKey, cacheEntry);
     } catch (error) {
         console.error('Cache write error:', error);
     }
 }
 
+/**
+ * Check whether a cache key belongs to one of the given repositories
+ */
+function isCacheKeyForRepos(key, repos) {
+    const prefix = [CACHE_KEY_PREFIX, COMMENTS_CACHE_PREFIX, PR_PANEL_CACHE_PREFIX, OWNER_REPOS_CACHE_PREFIX].find(p => key.startsWith(p));
+    if (!prefix) return false;
+    if (!repos || repos.length === 0) return true;
+    return repos.some(repo => key.startsWith(`${prefix}${repo}_`));
+}
+
 /**
  * Clear all cached repository data
  */
-export function clearCache(repos = null) {
+export async function clearCache(repos = null) {
     try {
-        const keys = Object.keys(localStorage);
-        let cacheKeys;
+        // Clear cache only for specific repositories, or everything when none given
+        const count = await deleteEntries(key => isCacheKeyForRepos(key, repos));
+        console.log(`Cleared ${count} cached repositories`);
+        return count;
+    } catch (error) {
+        console.error('Cache clear error:', error);
+        return 0;
+    }
+}
+
+/**
+ * Mark cached repository data as expired so the next load revalidates it
+ */
+export async function expireCache(repos = null) {
+    try {
+        // Entries that already expired are left alone, so only fresh payloads are read and rewritten
+        const expiredBefore = Date.now() - CACHE_DURATION_MS;
+        const cacheKeys = (await getEntryInfos())
+            .filter(({ key, timestamp }) => isCacheKeyForRepos(key, repos) && timestamp > expiredBefore)
+            .map(({ key }) => key);
         
-        if (repos && repos.length > 0) {
-            // Clear cache only for specific repositories
-            cacheKeys = keys.filter(key => {
-                if (!key.startsWith(CACHE_KEY_PREFIX)) return false;
-                return repos.some(repo => key.includes(`${CACHE_KEY_PREFIX}${repo}_`));
-            });
-        } else {
-            // Clear all cache
-            cacheKeys = keys.filter(key => key.startsWith(CACHE_KEY_PREFIX));
+        for (const key of cacheKeys) {
+            await updateEntry(key, entry => ({
+                ...entry,
+                timestamp: Math.min(entry.timestamp, Date.now() - CACHE_DURATION_MS)
+            }));
         }
-        
-        cacheKeys.forEach(key => localStorage.removeItem(key));
-        console.log(`Cleared ${cacheKeys.length} cached repositories`);
         return cacheKeys.length;
     } catch (error) {
-        console.error('Cache clear error:', error);
+        console.error('Cache expire error:', error);
         return 0;
     }
 }
 
 /**
- * Fetch all issues and PRs for a repository
+ * Fetch the repositories of an organization or user (cached, revalidated with ETags once expired)
+ * @param {string} owner - Organization or user login
+ * @param {string|null} ownerType - 'org', 'user' or null to try the organization first
+ * @param {boolean} refresh - Revalidate even when the cached list is still fresh
+ * @returns {Promise<Array<{full_name, name, archived, open_issues_count}>>}
+ */
+async function fetchOwnerRepositories(owner, ownerType, refresh = false) {
+    const cacheKey = `${OWNER_REPOS_CACHE_PREFIX}${owner.toLowerCase()}`;
+    let cached = null;
+    try {
+        cached = await getEntry(cacheKey);
+    } catch (error) {
+        console.error('Cache read error:', error);
+    }
+    
+    if (cached && !refresh && Date.now() - cached.timestamp < CACHE_DURATION_MS) {
+        return cached.repos;
+    }
+    
+    const urls = {
+        org: `${GITHUB_API_BASE}/orgs/${owner}/repos?per_page=${PER_PAGE}&type=all`,
+        user: `${GITHUB_API_BASE}/users/${owner}/repos?per_page=${PER_PAGE}&type=owner`
+    };
+    const ownerTypes = ownerType ? [ownerType] : ['org', 'user'];
+    
+    for (const type of ownerTypes) {
+        let result;
+        try {
+            result = await fetchAllPages(urls[type], null, cached && cached.url === urls[type] ? cached.validators : null);
+        } catch (error) {
+            // Not an organization - try the user next
+            if (error.status === 404 && type !== ownerTypes[ownerTypes.length - 1]) continue;
+            throw error;
+        }
+        
+        const repos = result.notModified ? cached.repos : result.items.map(repo => ({
+            full_name: repo.full_name,
+            name: repo.name,
+            archived: repo.archived,
+            open_issues_count: repo.open_issues_count
+        }));
+        
+        try {
+            await setEntry(cacheKey, { repos, url: urls[type], validators: result.validators, timestamp: Date.now() });
+        } catch (error) {
+            console.error('Cache write error:', error);
+        }
+        return repos;
+    }
+    
+    return [];
+}
+
+/**
+ * Expand repository entries into repositories
+ * owner/* (or a glob like owner/foundry-*), org:name and user:name become every matching
+ * non-archived repository of the owner; !owner/glob entries are removed
+ * @param {Array<string>} entries - Repository list entries
+ * @param {Object} options - { refresh: revalidate cached owner repository lists }
+ * @returns {Promise<Array<string>>} Repositories (owner/repo)
+ */
+export async function expandRepositories(entries, { refresh = false } = {}) {
+    const { repos, includes, excludes } = parseRepoEntries(entries);
+    const expanded = new Set();
+    const failed = [];
+    
+    for (const include of includes) {
+        try {
+            const ownerRepos = await fetchOwnerRepositories(include.owner, include.ownerType, refresh);
+            ownerRepos
+                .filter(repo => !repo.archived && matchesGlob(include.glob, repo.name))
+                .filter(repo => !skipEmptyRepos || repo.open_issues_count > 0)
+                .forEach(repo => expanded.add(repo.full_name));
+        } catch (error) {
+            failed.push(`${escapeHtml(include.owner)}: ${escapeHtml(error.message)}`);
+        }
+    }
+    
+    if (failed.length > 0) {
+        showError(`Failed to list the repositories of some owners:<br>${failed.join('<br>')}`);
+    }
+    
+    const allRepos = [...repos, ...[...expanded].sort((a, b) => a.localeCompare(b))];
+    return [...new Set(allRepos)].filter(repo => !isExcluded(repo, excludes));
+}
+
+/**
+ * Fetch the issues and PRs of a repository
+ * When enabled, open PRs are enriched with review, CI and mergeability details
+ * @param {string} repo - Repository (owner/repo)
+ * @param {Object} query - { state: 'open'|'closed'|'all', since: 'YYYY-MM-DD' } (defaults to the active query)
+ */
+export async function fetchRepositoryData(repo, query = itemQuery) {
+    const { state, since } = normalizeItemQuery(query);
+    
+    // "Closed since" only narrows closed items - open items are loaded separately so none are missed
+    if (state === 'all' && since) {
+        const [openData, closedData] = await Promise.all([
+            loadAndEnrichRepositoryData(repo, { state: 'open', since: '' }),
+            loadAndEnrichRepositoryData(repo, { state: 'closed', since })
+        ]);
+        return filterClosedBefore(mergeRepositoryData(openData, closedData), since);
+    }
+    
+    const result = await loadAndEnrichRepositoryData(repo, { state, since });
+    return since && state !== 'open' ? filterClosedBefore(result, since) : result;
+}
+
+/**
+ * Fetch the issues and PRs of several repositories, at most `concurrency` at a time
+ * With a token, repositories are loaded in batches through the GraphQL API (a few requests for many
+ * repositories, PR details included); without one, or when a batch fails, each repository is loaded
+ * through the REST API as in fetchRepositoryData
+ * @param {Array<string>} repos - Repositories (owner/repo)
+ * @param {Object} query - { state, since } (defaults to the active query)
+ * @param {Function} onResult - Called with each repository result as soon as it is loaded
+ * @returns {Promise<Array<Object>>} Results in the order of repos
  */
-export async function fetchRepositoryData(repo, openOnly = false) {
+export async function fetchRepositoriesData(repos, query = itemQuery, onResult = null) {
+    const normalizedQuery = normalizeItemQuery(query);
+    const results = new Map();
+    const report = result => {
+        results.set(result.repo, result);
+        if (onResult) onResult(result);
+    };
+    
+    if (!githubToken) {
+        await runWithConcurrency(repos, async repo => report(await fetchRepositoryData(repo, normalizedQuery)));
+        return repos.map(repo => results.get(repo));
+    }
+    
+    // Cached repositories are reported right away, the others are loaded in GraphQL batches
+    const toFetch = [];
+    for (const repo of repos) {
+        if (await isCachedFresh(repo, normalizedQuery)) {
+            report(await fetchRepositoryData(repo, normalizedQuery));
+        } else {
+            toFetch.push(repo);
+        }
+    }
+    
+    const batches = [];
+    for (let start = 0; start < toFetch.length; start += GRAPHQL_BATCH_SIZE) {
+        batches.push(toFetch.slice(start, start + GRAPHQL_BATCH_SIZE));
+    }
+    await runWithConcurrency(batches, async batch => {
+        (await fetchRepositoriesBatch(batch, normalizedQuery)).forEach(report);
+    });
+    
+    return repos.map(repo => results.get(repo));
+}
+
+/**
+ * Run an async task for each value, at most `concurrency` at a time
+ */
+async function runWithConcurrency(values, task) {
+    let next = 0;
+    const workers = Array.from({ length: Math.min(concurrency, values.length) }, async () => {
+        while (next < values.length) {
+            await task(values[next++]);
+        }
+    });
+    await Promise.all(workers);
+}
+
+/**
+ * Check whether everything a load needs is in the cache and fresh
+ */
+async function isCachedFresh(repo, { state, since }) {
+    const queries = state === 'all' && since ?
+        [{ state: 'open', since: '' }, { state: 'closed', since }] :
+        [{ state, since }];
+    
+    for (const query of queries) {
+        const cached = await getCachedData(repo, query);
+        if (!cached || !cached.fresh) return false;
+    }
+    return true;
+}
+
+/**
+ * Fetch a GraphQL batch of repositories (see fetchRepositoriesData)
+ * @returns {Promise<Array<Object>>} Results in the order of repos
+ */
+async function fetchRepositoriesBatch(repos, { state, since }) {
+    // Same split as fetchRepositoryData - open items are loaded separately so none are missed
+    if (state === 'all' && since) {
+        const [openResults, closedResults] = await Promise.all([
+            loadAndEnrichRepositoriesData(repos, { state: 'open', since: '' }),
+            loadAndEnrichRepositoriesData(repos, { state: 'closed', since })
+        ]);
+        return openResults.map((openData, index) => filterClosedBefore(mergeRepositoryData(openData, closedResults[index]), since));
+    }
+    
+    const results = await loadAndEnrichRepositoriesData(repos, { state, since });
+    return since && state !== 'open' ? results.map(result => filterClosedBefore(result, since)) : results;
+}
+
+/**
+ * Load a repository and, when enabled, enrich its open PRs
+ */
+async function loadAndEnrichRepositoryData(repo, query) {
+    const result = await loadRepositoryData(repo, query);
+    
+    if (prDetailsEnabled && result.success && !result._rateLimited) {
+        return enrichPullRequests(result, query);
+    }
+    
+    return result;
+}
+
+/**
+ * Combine the open and closed results of a repository
+ */
+function mergeRepositoryData(openData, closedData) {
+    if (!openData.success || !closedData.success) {
+        return openData.success ? closedData : openData;
+    }
+    
+    return {
+        ...openData,
+        issues: [...openData.issues, ...closedData.issues],
+        pullRequests: [...openData.pullRequests, ...closedData.pullRequests],
+        truncated: Boolean(openData.truncated || closedData.truncated),
+        fetchedAt: Math.min(openData.fetchedAt || 0, closedData.fetchedAt || 0) || undefined,
+        _fromCache: Boolean(openData._fromCache && closedData._fromCache),
+        _cacheTimestamp: Math.min(openData._cacheTimestamp || Date.now(), closedData._cacheTimestamp || Date.now()),
+        _stale: Boolean(openData._stale || closedData._stale),
+        _rateLimited: Boolean(openData._rateLimited || closedData._rateLimited)
+    };
+}
+
+/**
+ * Drop closed items closed before a date
+ * The API's since parameter compares the last update, so items closed earlier but touched later slip through
+ */
+function filterClosedBefore(repoData, since) {
+    if (!repoData.success) return repoData;
+    
+    const sinceTime = Date.parse(since);
+    const keep = item => item.state !== 'closed' || !item.closed_at || Date.parse(item.closed_at) >= sinceTime;
+    
+    return {
+        ...repoData,
+        issues: repoData.issues.filter(keep),
+        pullRequests: repoData.pullRequests.filter(keep)
+    };
+}
+
+/**
+ * Load issues and PRs for a repository from cache or GitHub
+ */
+async function loadRepositoryData(repo, query) {
     const [owner, repoName] = repo.split('/');
     
     // Check cache first
-    const cached = getCachedData(repo, openOnly);
-    if (cached) {
+    const cached = await getCachedData(repo, query);
+    if (cached && cached.fresh) {
         console.log(`Using cache for ${repo}`);
-        return cached;
+        return cached.data;
+    }
+    
+    // Don't schedule another request when the rate limit is about to run out
+    if (!hasRateLimitBudget()) {
+        const resetMessage = `rate limit nearly exhausted, resets at ${getRateLimitResetTime()}`;
+        if (cached) {
+            console.log(`Using stale cache for ${repo} (${resetMessage})`);
+            setLoadingProgress(repo, '⚠️ stale cache (rate limit)');
+            return { ...cached.data, _stale: true, _rateLimited: true };
+        }
+        setLoadingProgress(repo, '❌ skipped (rate limit)');
+        return {
+            repo,
+            owner,
+            repoName,
+            issues: [],
+            pullRequests: [],
+            success: false,
+            error: `Skipped: ${resetMessage}`,
+            _rateLimited: true
+        };
     }
     
-    console.log(`Fetching fresh data for ${repo}`);
+    console.log(cached ? `Revalidating cached data for ${repo}` : `Fetching fresh data for ${repo}`);
+    setLoadingProgress(repo, 'loading...');
     try {
-        const state = openOnly ? 'open' : 'all';
-        const issuesAndPRsUrl = `${GITHUB_API_BASE}/repos/${owner}/${repoName}/issues?state=${state}&per_page=100`;
-        const issuesAndPRs = await fetchGitHub(issuesAndPRsUrl);
+        const sinceParam = query.since && query.state !== 'open' ? `&since=${new Date(query.since).toISOString()}` : '';
+        const issuesAndPRsUrl = `${GITHUB_API_BASE}/repos/${owner}/${repoName}/issues?state=${query.state}${sinceParam}&per_page=${PER_PAGE}`;
+        const { items: issuesAndPRs, truncated, rateLimited, validators, notModified } = await fetchAllPages(issuesAndPRsUrl, (page, count) => {
+            setLoadingProgress(repo, `page ${page} (${count} items)`);
+        }, cached ? cached.validators : null);
+        
+        // Nothing changed on GitHub - reuse the cached data and restart its freshness window
+        if (notModified) {
+            setLoadingProgress(repo, '✓ not modified');
+            const revalidated = { ...cached.data, fetchedAt: Date.now() };
+            await setCachedData(repo, query, revalidated, validators);
+            return { ...revalidated, _cacheTimestamp: revalidated.fetchedAt, _revalidated: true };
+        }
+        
+        if (rateLimited) {
+            setLoadingProgress(repo, '⚠️ stopped early (rate limit)');
+        } else {
+            setLoadingProgress(repo, truncated ? `⚠️ stopped at ${maxPages} pages` : `✓ ${issuesAndPRs.length} items`);
+        }
 
         // Separate issues from pull requests
         const issues = issuesAndPRs.filter(item => !item.pull_request);
@@ -261,15 +1073,23 @@ export async function fetchRepositoryData(repo, openOnly = false) {
             repoName,
             issues: issues.map(item => classifyItem(item, repo)),
             pullRequests: pullRequests.map(item => classifyItem(item, repo)),
+            truncated,
+            fetchedAt: Date.now(),
             success: true
         };
         
+        // Partial data from a rate-limited fetch is shown but not cached
+        if (rateLimited) {
+            return { ...result, _rateLimited: true };
+        }
+        
         // Cache the successful result
-        setCachedData(repo, openOnly, result);
+        await setCachedData(repo, query, result, validators);
         
         return result;
     } catch (error) {
         console.error(`Error fetching ${repo}:`, error);
+        setLoadingProgress(repo, '❌ failed');
         return {
             repo,
             owner,
@@ -277,11 +1097,599 @@ export async function fetchRepositoryData(repo, openOnly = false) {
             issues: [],
             pullRequests: [],
             success: false,
-            error: error.message
+            error: error.message,
+            errorStatus: error.status
         };
     }
 }
 
+/**
+ * Load a batch of repositories from cache or with one GraphQL query per page round, enriching open PRs
+ * like loadAndEnrichRepositoryData (PRs loaded through GraphQL already have their details)
+ */
+async function loadAndEnrichRepositoriesData(repos, query) {
+    const results = new Map();
+    const toFetch = [];
+    
+    for (const repo of repos) {
+        const cached = await getCachedData(repo, query);
+        if (cached && cached.fresh) {
+            console.log(`Using cache for ${repo}`);
+            results.set(repo, cached.data);
+        } else {
+            toFetch.push(repo);
+        }
+    }
+    
+    if (toFetch.length > 0) {
+        const batchResults = await loadRepositoriesBatch(toFetch, query);
+        
+        // Repositories the batch couldn't load (not found, no access, failed query) use the REST API
+        for (const repo of toFetch) {
+            results.set(repo, batchResults.get(repo) || await loadRepositoryData(repo, query));
+        }
+    }
+    
+    return Promise.all(repos.map(repo => {
+        const result = results.get(repo);
+        return prDetailsEnabled && result.success && !result._rateLimited ? enrichPullRequests(result, query) : result;
+    }));
+}
+
+/**
+ * Load the issues and PRs of a batch of repositories through GraphQL, following every
+ * repository's issue and PR cursors (up to the page cap) with one query per page round
+ * @returns {Promise<Map<string, Object>>} Results by repository - missing when a repository failed
+ */
+async function loadRepositoriesBatch(repos, query) {
+    const loads = repos.map(repo => {
+        const [owner, name] = repo.split('/');
+        return {
+            repo,
+            owner,
+            name,
+            issues: { cursor: null, pages: 0, items: [], done: false },
+            pullRequests: { cursor: null, pages: 0, items: [], done: false },
+            failed: false
+        };
+    });
+    const sinceTime = query.since && query.state !== 'open' ? Date.parse(query.since) : null;
+    
+    console.log(`Fetching ${repos.length} repositories with GraphQL: ${repos.join(', ')}`);
+    repos.forEach(repo => setLoadingProgress(repo, 'loading...'));
+    try {
+        let pending = loads;
+        while (pending.length > 0) {
+            const requests = pending.map(load => ({
+                owner: load.owner,
+                name: load.name,
+                issues: load.issues.done ? null : load.issues,
+                pullRequests: load.pullRequests.done ? null : load.pullRequests
+            }));
+            const { data, errors } = await requestGitHubGraphQL(buildRepositoriesQuery(requests, { ...query, prDetails: prDetailsEnabled }));
+            if (!data) {
+                throw new Error(errors.map(error => error.message).join('; ') || 'Empty GraphQL response');
+            }
+            
+            pending.forEach((load, index) => {
+                const repository = data[getRepositoryAlias(index)];
+                if (!repository) {
+                    load.failed = true;
+                    return;
+                }
+                
+                [['issues', normalizeIssueNode], ['pullRequests', normalizePullRequestNode]].forEach(([field, normalize]) => {
+                    const connection = repository[field];
+                    const progress = load[field];
+                    if (!connection) return;
+                    
+                    // Pull requests can't be filtered by update date - stop at the first older one
+                    const nodes = sinceTime ? connection.nodes.filter(node => Date.parse(node.updatedAt) >= sinceTime) : connection.nodes;
+                    progress.items.push(...nodes.map(node => normalize(node, load.repo)));
+                    progress.pages++;
+                    progress.cursor = connection.pageInfo.endCursor;
+                    progress.hasNextPage = connection.pageInfo.hasNextPage && nodes.length === connection.nodes.length;
+                    progress.done = !progress.hasNextPage || progress.pages >= maxPages;
+                });
+                
+                setLoadingProgress(load.repo, `GraphQL page ${Math.max(load.issues.pages, load.pullRequests.pages)} (${load.issues.items.length + load.pullRequests.items.length} items)`);
+            });
+            
+            pending = pending.filter(load => !load.failed && !(load.issues.done && load.pullRequests.done));
+        }
+    } catch (error) {
+        console.error(`GraphQL batch failed, falling back to REST for ${repos.join(', ')}:`, error);
+        return new Map();
+    }
+    
+    const results = new Map();
+    for (const load of loads.filter(load => !load.failed)) {
+        const truncated = Boolean(load.issues.hasNextPage || load.pullRequests.hasNextPage);
+        const itemCount = load.issues.items.length + load.pullRequests.items.length;
+        setLoadingProgress(load.repo, truncated ? `⚠️ stopped at ${maxPages} pages` : `✓ ${itemCount} items`);
+        
+        const result = {
+            repo: load.repo,
+            owner: load.owner,
+            repoName: load.name,
+            issues: load.issues.items.map(item => classifyItem(item, load.repo)),
+            pullRequests: load.pullRequests.items.map(item => classifyItem(item, load.repo)),
+            truncated,
+            fetchedAt: Date.now(),
+            success: true
+        };
+        
+        // GraphQL results have no ETags - expired entries are fetched again
+        await setCachedData(load.repo, query, result);
+        results.set(load.repo, result);
+    }
+    return results;
+}
+
+/**
+ * Fetch review, CI and mergeability details for the open PRs of a repository
+ * Details are cached with the repository data and refetched when a PR is updated
+ */
+async function enrichPullRequests(repoData, query) {
+    const { repo, owner, repoName } = repoData;
+    const outdated = repoData.pullRequests.filter(pr =>
+        pr.state === 'open' && (!pr.prDetails || pr.prDetails.updatedAt !== pr.updated_at)
+    );
+    
+    if (outdated.length === 0) return repoData;
+    
+    const detailsByNumber = new Map();
+    let incomplete = false;
+    
+    for (const pr of outdated) {
+        if (!hasRateLimitBudget(PR_DETAILS_REQUESTS)) {
+            incomplete = true;
+            break;
+        }
+        
+        setLoadingProgress(repo, `PR details ${detailsByNumber.size + 1}/${outdated.length}`);
+        try {
+            const details = await fetchPullRequestDetails(owner, repoName, pr.number);
+            detailsByNumber.set(pr.number, { ...details, updatedAt: pr.updated_at });
+        } catch (error) {
+            console.error(`Error fetching details for ${repo}#${pr.number}:`, error);
+            incomplete = true;
+        }
+    }
+    
+    setLoadingProgress(repo, incomplete ?
+        `⚠️ PR details for ${detailsByNumber.size}/${outdated.length}` :
+        `✓ PR details for ${detailsByNumber.size} PRs`);
+    
+    const enriched = {
+        ...repoData,
+        pullRequests: repoData.pullRequests.map(pr =>
+            detailsByNumber.has(pr.number) ? { ...pr, prDetails: detailsByNumber.get(pr.number) } : pr
+        )
+    };
+    
+    // Store the details with the cached repository data, keeping its age
+    if (detailsByNumber.size > 0) {
+        const cached = await getCachedData(repo, query);
+        if (cached) {
+            await setCachedData(repo, query, enriched, cached.validators, cached.data._cacheTimestamp);
+        }
+    }
+    
+    return enriched;
+}
+
+/**
+ * Fetch the details of a single pull request
+ */
+async function fetchPullRequestDetails(owner, repoName, number) {
+    const baseUrl = `${GITHUB_API_BASE}/repos/${owner}/${repoName}`;
+    const pull = await fetchGitHub(`${baseUrl}/pulls/${number}`);
+    
+    const [reviews, status, checks] = await Promise.all([
+        fetchGitHub(`${baseUrl}/pulls/${number}/reviews?per_page=${PER_PAGE}`),
+        fetchGitHub(`${baseUrl}/commits/${pull.head.sha}/status`),
+        fetchGitHub(`${baseUrl}/commits/${pull.head.sha}/check-runs?per_page=${PER_PAGE}`)
+    ]);
+    
+    return {
+        draft: Boolean(pull.draft),
+        mergeable: pull.mergeable,
+        mergeableState: pull.mergeable_state,
+        headRef: pull.head.ref,
+        baseRef: pull.base.ref,
+        requestedReviewers: (pull.requested_reviewers || []).map(reviewer => reviewer.login),
+        reviewState: getReviewState(reviews),
+        checksState: getChecksState(status, checks.check_runs || [])
+    };
+}
+
+/**
+ * Summarize reviews using the latest decisive review of each reviewer
+ * @returns {string} 'changes_requested', 'approved' or 'none'
+ */
+function getReviewState(reviews) {
+    const latestByUser = new Map();
+    reviews
+        .filter(review => review.state === 'APPROVED' || review.state === 'CHANGES_REQUESTED' || review.state === 'DISMISSED')
+        .forEach(review => latestByUser.set(review.user?.login, review.state));
+    
+    const states = [...latestByUser.values()];
+    if (states.includes('CHANGES_REQUESTED')) return 'changes_requested';
+    if (states.includes('APPROVED')) return 'approved';
+    return 'none';
+}
+
+/**
+ * Combine the commit status and check runs into one state
+ * @returns {string} 'failure', 'pending', 'success' or 'none'
+ */
+function getChecksState(status, checkRuns) {
+    const failedConclusions = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure'];
+    const hasStatuses = status.total_count > 0;
+    
+    if ((hasStatuses && (status.state === 'failure' || status.state === 'error')) ||
+        checkRuns.some(run => failedConclusions.includes(run.conclusion))) {
+        return 'failure';
+    }
+    if ((hasStatuses && status.state === 'pending') || checkRuns.some(run => run.status !== 'completed')) {
+        return 'pending';
+    }
+    if (hasStatuses || checkRuns.length > 0) {
+        return 'success';
+    }
+    return 'none';
+}
+
+/**
+ * Format review, CI and mergeability badges for a PR card
+ */
+export function formatPullRequestBadges(item) {
+    const details = item.prDetails;
+    if (!details) return '';
+    
+    const badges = [];
+    if (details.draft) {
+        badges.push('<span class="pr-badge pr-badge-draft" title="Draft pull request">📝 Draft</span>');
+    }
+    if (details.reviewState === 'approved') {
+        badges.push('<span class="pr-badge pr-badge-success" title="Approved">✅ Approved</span>');
+    } else if (details.reviewState === 'changes_requested') {
+        badges.push('<span class="pr-badge pr-badge-warning" title="Changes requested">🔁 Changes requested</span>');
+    }
+    if (details.checksState === 'failure') {
+        badges.push('<span class="pr-badge pr-badge-danger" title="CI checks failing">❌ CI failing</span>');
+    } else if (details.checksState === 'pending') {
+        badges.push('<span class="pr-badge" title="CI checks running">⏳ CI pending</span>');
+    } else if (details.checksState === 'success') {
+        badges.push('<span class="pr-badge pr-badge-success" title="CI checks passing">✔️ CI passing</span>');
+    }
+    if (details.mergeableState === 'dirty' || details.mergeable === false) {
+        badges.push('<span class="pr-badge pr-badge-danger" title="Merge conflicts">⚠️ Conflicts</span>');
+    }
+    
+    return badges.join('');
+}
+
+/**
+ * Score how close a PR is to being merged (higher is more ready)
+ */
+export function getReviewReadiness(item) {
+    const details = item.prDetails;
+    if (!details) return 0;
+    
+    let score = 0;
+    if (details.draft) score -= 4;
+    if (details.mergeableState === 'dirty' || details.mergeable === false) score -= 2;
+    if (details.checksState === 'failure') score -= 2;
+    if (details.checksState === 'success') score += 1;
+    if (details.reviewState === 'changes_requested') score -= 1;
+    if (details.reviewState === 'approved') score += 3;
+    return score;
+}
+
+/**
+ * Reset the per-repository progress shown in the loading indicator
+ */
+export function resetLoadingProgress() {
+    loadingProgress.clear();
+    renderLoadingProgress();
+}
+
+/**
+ * Update the progress line for a repository in the loading indicator
+ */
+function setLoadingProgress(repo, text) {
+    loadingProgress.set(repo, text);
+    renderLoadingProgress();
+}
+
+/**
+ * Show the loading progress in the placeholders of the repositories still loading
+ */
+function renderLoadingProgress() {
+    document.querySelectorAll('.swimlane-placeholder').forEach(placeholder => {
+        const progress = placeholder.querySelector('.placeholder-progress');
+        if (progress) {
+            progress.textContent = loadingProgress.get(placeholder.dataset.repo) || 'waiting...';
+        }
+    });
+}
+
+/**
+ * Render placeholder swimlanes for repositories that are still loading
+ * @param {Iterable<string>} repos - Pending repositories (owner/repo)
+ */
+function renderRepositoryPlaceholders(repos) {
+    return [...repos].map(repo => `
+        <div class="swimlane swimlane-placeholder" data-repo="${escapeHtml(repo)}" aria-busy="true">
+            <div class="swimlane-placeholder-header">
+                <span class="swimlane-placeholder-title">⏳ ${escapeHtml(repo)}</span>
+                <span class="placeholder-progress">${escapeHtml(loadingProgress.get(repo) || 'waiting...')}</span>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Explain why a repository failed to load
+ * @returns {{title: string, hint: string}}
+ */
+function getRepositoryErrorCause(result) {
+    const status = result.errorStatus;
+    if (result._rateLimited || status === 429 || (status === 403 && /rate limit/i.test(result.error))) {
+        return {
+            title: '⏱️ Rate limited',
+            hint: `The GitHub rate limit resets at ${getRateLimitResetTime()}.${githubToken ? '' : ' A token raises the limit to 5,000 requests per hour.'}`
+        };
+    }
+    if (status === 404) {
+        return {
+            title: '🔍 Not found or private',
+            hint: githubToken ?
+                'Check the spelling of the repository, and that your token has the repo scope for private repositories.' :
+                'Check the spelling of the repository. Private repositories need a token with the repo scope.'
+        };
+    }
+    if (status === 401) {
+        return { title: '🔑 Bad token', hint: 'GitHub rejected the token - it may be mistyped, expired or revoked. Update it in the token section.' };
+    }
+    if (status === 403) {
+        return { title: '⛔ Access forbidden', hint: 'The token has no access to this repository (for example, organization SSO is not authorized for it).' };
+    }
+    if (status === 0) {
+        return { title: '📡 Network error', hint: 'GitHub could not be reached, even after several attempts. Check your connection.' };
+    }
+    if (status >= 500) {
+        return { title: '🔥 GitHub server error', hint: 'GitHub kept failing after several attempts - try again in a moment.' };
+    }
+    return { title: '❌ Failed to load', hint: '' };
+}
+
+/**
+ * Render error swimlanes (cause and a Retry button) for repositories that failed to load
+ * Clicks on .retry-repo-btn (data-repo holds the repository) are handled by the repository loader
+ * @param {Iterable<Object>} results - Failed repository results
+ */
+function renderRepositoryErrorCards(results) {
+    return [...results].map(result => {
+        const cause = getRepositoryErrorCause(result);
+        return `
+            <div class="swimlane swimlane-error" data-repo="${escapeHtml(result.repo)}" role="alert">
+                <div class="swimlane-error-header">
+                    <span class="swimlane-error-title">${escapeHtml(result.repo)}</span>
+                    <button type="button" class="retry-repo-btn" data-repo="${escapeHtml(result.repo)}">🔄 Retry</button>
+                </div>
+                <div class="swimlane-error-cause"><strong>${cause.title}</strong>${cause.hint ? ` - ${escapeHtml(cause.hint)}` : ''}</div>
+                <div class="swimlane-error-details">Details: ${escapeHtml(result.error)}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Get a warning text for repositories whose data hit the page cap
+ */
+export function getTruncationWarning(repoData) {
+    if (repoData._rateLimited && repoData._stale) {
+        return `⚠️ Showing stale cached data (rate limit nearly exhausted, resets at ${getRateLimitResetTime()})`;
+    }
+    if (!repoData.truncated) return '';
+    
+    const total = repoData.issues.length + repoData.pullRequests.length;
+    const reason = repoData._rateLimited ? 'rate limit nearly exhausted' : 'page limit reached';
+    return `⚠️ Showing only the first ${total} items (${reason})`;
+}
+
+/**
+ * Setup progressive loading of repositories into the page's view: each repository shows a placeholder
+ * until it is loaded, then joins the view in the order of the list (failed ones get an error card with a Retry button)
+ * @param {Object} view - How the view shows the repositories:
+ *   render() redraws the view,
+ *   prepare() runs before each load (optional, e.g. loading the board columns),
+ *   getItems() returns the items offered in the filter options (optional, the loaded items by default),
+ *   onLoad() runs when a new set of repositories is loaded (optional, to drop data derived from the previous one),
+ *   inlineTruncationWarnings - the view shows the page cap warnings in its swimlanes
+ * Swimlanes with a data-lane key keep the keyboard focus on their header across background refreshes
+ */
+export function setupRepositoryLoader(view) {
+    repositoryView = {
+        prepare: null,
+        getItems: null,
+        onLoad: null,
+        inlineTruncationWarnings: false,
+        ...view
+    };
+    
+    // Retry buttons of the error cards
+    document.addEventListener('click', (e) => {
+        const retryBtn = e.target.closest('.retry-repo-btn');
+        if (retryBtn) {
+            retryRepository(retryBtn.dataset.repo);
+        }
+    });
+    
+    // Markers of what changed since the last visit, and the background auto-refresh
+    setupChangesSummary(() => keepViewPosition(() => repositoryView.render()));
+    setupAutoRefresh(refreshRepositories, canNotify);
+}
+
+/**
+ * Get the loaded repositories in the order of the list
+ */
+export function getLoadedRepositories() {
+    return loadedRepos;
+}
+
+/**
+ * Reclassify the loaded repositories with the current rules
+ */
+export function reclassifyLoadedRepositories() {
+    loadedRepos = loadedRepos.map(reclassifyRepoData);
+}
+
+/**
+ * Render the error cards of the repositories that failed and the placeholders of those still loading
+ */
+export function renderRepositoryStatusCards() {
+    return renderRepositoryErrorCards(failedRepos.values()) + renderRepositoryPlaceholders(pendingRepos);
+}
+
+/**
+ * Load a set of repositories into the view, showing each one as soon as it is loaded
+ * @param {Array<string>} repos - Repositories (owner/repo)
+ */
+export async function loadRepositories(repos) {
+    const errorContainer = document.getElementById('error-container');
+    
+    // Clear previous data - repositories show placeholders until they are loaded
+    loadedRepos = [];
+    repoOrder = repos;
+    pendingRepos = new Set(repos);
+    failedRepos = new Map();
+    if (repositoryView.onLoad) repositoryView.onLoad();
+    updateFilterOptions([]);
+    errorContainer.innerHTML = '';
+    resetLoadingProgress();
+    resetChanges();
+    repositoryView.render();
+    
+    try {
+        if (repositoryView.prepare) await repositoryView.prepare();
+        
+        const results = await fetchRepositoriesData(repos, itemQuery, handleRepositoryResult);
+        showRepositoryWarnings(results.filter(r => r.success));
+    } catch (error) {
+        pendingRepos.clear();
+        repositoryView.render();
+        showError(`Error loading repositories: ${error.message}`);
+    }
+}
+
+/**
+ * Show a repository result: loaded repositories join the view in the order of the list, failed ones get an error card
+ * @returns {Array<string>} Keys of the items that changed since the previous load (see recordRepositoryChanges)
+ */
+function handleRepositoryResult(result) {
+    let changedKeys = [];
+    pendingRepos.delete(result.repo);
+    if (result.success) {
+        failedRepos.delete(result.repo);
+        changedKeys = recordRepositoryChanges(result, itemQuery);
+        const others = loadedRepos.filter(repoData => repoData.repo !== result.repo);
+        loadedRepos = repoOrder.map(repo => repo === result.repo ? result : others.find(repoData => repoData.repo === repo)).filter(repoData => repoData);
+        updateFilterOptions(repositoryView.getItems ?
+            repositoryView.getItems() :
+            loadedRepos.flatMap(repoData => [...repoData.issues, ...repoData.pullRequests]));
+    } else {
+        failedRepos.set(result.repo, result);
+    }
+    repositoryView.render();
+    return changedKeys;
+}
+
+/**
+ * Warn about loaded repositories that hit the page cap or the rate limit
+ */
+function showRepositoryWarnings(results) {
+    if (repositoryView.inlineTruncationWarnings) {
+        // The swimlanes show the page cap - only point out data that may be stale
+        const rateLimited = results.filter(r => r._rateLimited);
+        if (rateLimited.length > 0) {
+            const repoNames = rateLimited.map(r => escapeHtml(r.repo)).join(', ');
+            showWarning(`Rate limit nearly exhausted - some data may be stale or incomplete: ${repoNames}`);
+        }
+        return;
+    }
+    
+    results.filter(r => getTruncationWarning(r)).forEach(r => {
+        showWarning(`${escapeHtml(r.repo)}: ${getTruncationWarning(r)}`);
+    });
+}
+
+/**
+ * Load a repository that failed again
+ */
+async function retryRepository(repo) {
+    failedRepos.delete(repo);
+    pendingRepos.add(repo);
+    repositoryView.render();
+    
+    const [result] = await fetchRepositoriesData([repo], itemQuery, handleRepositoryResult);
+    showRepositoryWarnings([result].filter(r => r.success));
+}
+
+/**
+ * Revalidate the loaded repositories in the background (auto-refresh) and pulse the swimlanes that changed
+ * Collapsed swimlanes, filters, the scroll position and the keyboard focus are kept
+ */
+async function refreshRepositories() {
+    // Loads and retries in progress come first
+    if (pendingRepos.size > 0 || repoOrder.length === 0) return;
+    
+    await expireCache(repoOrder);
+    const changedKeys = [];
+    await fetchRepositoriesData(repoOrder, itemQuery, result => {
+        // Failed refreshes keep the previous data, and a load started meanwhile takes over its repositories
+        if (result.success && !pendingRepos.has(result.repo)) {
+            notifyRepositoryChanges(loadedRepos.find(repoData => repoData.repo === result.repo), result);
+            changedKeys.push(...keepViewPosition(() => handleRepositoryResult(result)));
+        }
+    });
+    pulseChangedSwimlanes(changedKeys);
+}
+
+/**
+ * Redraw the view without moving the page: the scroll position and the focused card
+ * or swimlane header are restored afterwards
+ * @param {Function} update - Redraws the view, its return value is passed through
+ */
+function keepViewPosition(update) {
+    const { scrollX, scrollY } = window;
+    const focusSelector = getFocusSelector(document.activeElement);
+    
+    const result = update();
+    
+    window.scrollTo(scrollX, scrollY);
+    if (focusSelector && !document.activeElement?.matches(focusSelector)) {
+        document.querySelector(focusSelector)?.focus({ preventScroll: true });
+    }
+    return result;
+}
+
+/**
+ * Get a selector that finds the focused card or swimlane header again once the view is redrawn
+ */
+function getFocusSelector(element) {
+    const card = element?.closest?.('.item[data-item-key]');
+    if (card) {
+        return `.item[data-item-key="${CSS.escape(card.dataset.itemKey)}"]`;
+    }
+    
+    const swimlane = element?.matches?.('.swimlane-header') ? element.closest('.swimlane[data-lane]') : null;
+    return swimlane ? `.swimlane[data-lane="${CSS.escape(swimlane.dataset.lane)}"] > .swimlane-header` : null;
+}
+
 /**
  * Calculate contrast color (black or white) based on background color
  */
@@ -301,18 +1709,41 @@ export function showError(message) {
     const errorContainer = document.getElementById('error-container');
     if (!errorContainer) return;
     
+    // Earlier errors stay visible - only a repeat of the same message is replaced
+    [...errorContainer.querySelectorAll('.error')]
+        .filter(existing => existing.dataset.message === message)
+        .forEach(existing => existing.remove());
+    
     const errorDiv = document.createElement('div');
     errorDiv.className = 'error';
+    errorDiv.dataset.message = message;
     errorDiv.innerHTML = `
         <div class="error-content">
             <div class="error-message">${message}</div>
             <button onclick="this.parentElement.parentElement.remove()" class="error-close-btn">&times;</button>
         </div>
     `;
-    errorContainer.innerHTML = '';
     errorContainer.appendChild(errorDiv);
 }
 
+/**
+ * Show a dismissible warning message without replacing existing messages
+ */
+export function showWarning(message) {
+    const errorContainer = document.getElementById('error-container');
+    if (!errorContainer) return;
+    
+    const warningDiv = document.createElement('div');
+    warningDiv.className = 'warning';
+    warningDiv.innerHTML = `
+        <div class="error-content">
+            <div class="error-message">${message}</div>
+            <button onclick="this.parentElement.parentElement.remove()" class="error-close-btn">&times;</button>
+        </div>
+    `;
+    errorContainer.appendChild(warningDiv);
+}
+
 /**
  * Escape HTML to prevent XSS
  */
@@ -359,55 +1790,39 @@ export function getTotalReactions(reactions) {
 }
 
 /**
- * Update view switcher links to preserve current repos parameter
+ * Update view switcher links to preserve current repos and filter parameters
+ * Every query string change goes through here, so the active workspace is saved as well
  */
-function updateViewSwitcherLinks() {
-    const params = new URLSearchParams(window.location.search);
-    const repos = params.get('repos');
-    
-    if (repos) {
-        const viewSwitcher = document.querySelector('.view-switcher');
-        if (viewSwitcher) {
-            const byRepoLink = viewSwitcher.querySelector('a[href="index.html"]');
-            const byTypeLink = viewSwitcher.querySelector('a[href="by-type.html"]');
-            
-            if (byRepoLink) {
-                byRepoLink.href = `index.html?repos=${encodeURIComponent(repos)}`;
-            }
-            if (byTypeLink) {
-                byTypeLink.href = `by-type.html?repos=${encodeURIComponent(repos)}`;
-            }
-        }
+export function updateViewSwitcherLinks() {
+    syncActiveWorkspace();
+    const query = window.location.search;
+    
+    const viewSwitcher = document.querySelector('.view-switcher');
+    if (viewSwitcher) {
+        viewSwitcher.querySelectorAll('a.view-btn[data-view]').forEach(link => {
+            link.href = `${link.dataset.view}${query}`;
+        });
     }
 }
 
 /**
  * Delete a specific repository from cache
  */
-function deleteRepoFromCache(repo) {
-    const cacheKeysToDelete = [];
-    
-    // Find all cache keys for this repo
-    Object.keys(localStorage).forEach(key => {
-        if (key.startsWith(`${CACHE_KEY_PREFIX}${repo}_`)) {
-            cacheKeysToDelete.push(key);
-        }
-    });
+async function deleteRepoFromCache(repo) {
+    // Delete all cache entries for this repo
+    const deletedCount = await deleteEntries(key => isCacheKeyForRepos(key, [repo]));
     
-    if (cacheKeysToDelete.length === 0) {
+    if (deletedCount === 0) {
         showError(`No cache found for ${repo}`);
         return;
     }
     
-    // Delete the cache entries
-    cacheKeysToDelete.forEach(key => localStorage.removeItem(key));
-    
     // Also remove from the repos textarea
     const reposInput = document.getElementById('repos');
     if (reposInput) {
         const currentRepos = reposInput.value.split('\n')
             .map(line => line.trim())
-            .filter(line => line && line.includes('/'));
+            .filter(line => line && isRepoEntry(line));
         
         const filteredRepos = currentRepos.filter(r => r !== repo);
         reposInput.value = filteredRepos.join('\n');
@@ -437,7 +1852,7 @@ function addRepoToList(repo) {
     
     const currentRepos = reposInput.value.split('\n')
         .map(line => line.trim())
-        .filter(line => line && line.includes('/'));
+        .filter(line => line && isRepoEntry(line));
     
     // Toggle: remove if exists, add if not
     const repoIndex = currentRepos.indexOf(repo);
@@ -475,6 +1890,91 @@ function addRepoToList(repo) {
     }
 }
 
+/**
+ * Render the workspace switcher (select plus rename/duplicate/delete buttons)
+ */
+function renderWorkspaceSwitcher() {
+    const workspaceBar = document.getElementById('workspaceBar');
+    if (!workspaceBar) return;
+    
+    const active = getActiveWorkspace();
+    const options = getWorkspaces().map(workspace =>
+        `<option value="${escapeHtml(workspace.id)}" ${active && active.id === workspace.id ? 'selected' : ''}>${escapeHtml(workspace.name)}</option>`
+    ).join('');
+    
+    workspaceBar.innerHTML = `
+        <label for="workspaceSelect">🗂️ Workspace</label>
+        <select id="workspaceSelect">
+            <option value="" ${active ? '' : 'selected'}>No workspace</option>
+            ${options}
+            <option value="__new__">➕ Save as new workspace...</option>
+        </select>
+        ${active ? `
+            <button id="workspaceRenameBtn" class="workspace-btn" title="Rename workspace">✏️</button>
+            <button id="workspaceDuplicateBtn" class="workspace-btn" title="Duplicate workspace">📄</button>
+            <button id="workspaceDeleteBtn" class="workspace-btn" title="Delete workspace">🗑️</button>
+        ` : ''}
+    `;
+}
+
+/**
+ * Setup the workspace switcher in the header
+ * Switching opens the workspace's saved view with its repos, filters and sort
+ */
+function setupWorkspaceSwitcher() {
+    const workspaceBar = document.getElementById('workspaceBar');
+    if (!workspaceBar) return;
+    
+    renderWorkspaceSwitcher();
+    
+    workspaceBar.addEventListener('change', (e) => {
+        if (e.target.id !== 'workspaceSelect') return;
+        
+        const value = e.target.value;
+        if (value === '__new__') {
+            const name = window.prompt('Name of the new workspace (saves the current repositories, view, filters and sort):');
+            if (!name || !name.trim()) {
+                renderWorkspaceSwitcher();
+                return;
+            }
+            window.location.href = getWorkspaceUrl(createWorkspace(name));
+        } else if (value) {
+            const workspace = getWorkspaces().find(candidate => candidate.id === value);
+            window.location.href = getWorkspaceUrl(workspace);
+        } else {
+            window.location.href = leaveWorkspace();
+        }
+    });
+    
+    workspaceBar.addEventListener('click', (e) => {
+        const active = getActiveWorkspace();
+        if (!active) return;
+        
+        try {
+            if (e.target.closest('#workspaceRenameBtn')) {
+                const name = window.prompt('Rename workspace:', active.name);
+                if (name && name.trim()) {
+                    renameWorkspace(active.id, name);
+                    renderWorkspaceSwitcher();
+                }
+            } else if (e.target.closest('#workspaceDuplicateBtn')) {
+                const name = window.prompt('Name of the copy:', `${active.name} (copy)`);
+                if (name && name.trim()) {
+                    window.location.href = getWorkspaceUrl(duplicateWorkspace(active.id, name));
+                }
+            } else if (e.target.closest('#workspaceDeleteBtn')) {
+                if (window.confirm(`Delete the workspace "${active.name}"? The current repositories stay loaded.`)) {
+                    deleteWorkspace(active.id);
+                    updateViewSwitcherLinks();
+                    renderWorkspaceSwitcher();
+                }
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    });
+}
+
 /**
  * Setup common UI handlers (repos toggle, token permissions toggle)
  */
@@ -482,6 +1982,9 @@ export function setupCommonUI() {
     // Update view switcher links with current repos
     updateViewSwitcherLinks();
     
+    // Workspace switcher in the header
+    setupWorkspaceSwitcher();
+    
     // Toggle repos configuration section
     const reposToggle = document.getElementById('reposToggle');
     const reposSection = document.getElementById('reposSection');
@@ -492,9 +1995,9 @@ export function setupCommonUI() {
         const currentRepos = reposInput.value.trim();
         const defaultRepo = 'hodpub/github-issues-tracker';
         
-        // Check if repos is just the default (no URL params)
+        // Check if repos is just the default (no URL params or workspace)
         const queryRepos = getRepositoriesFromQueryString();
-        if (!queryRepos && currentRepos === defaultRepo) {
+        if (!queryRepos && !getActiveWorkspace() && currentRepos === defaultRepo) {
             reposSection.classList.remove('collapsed');
         }
     }
@@ -522,8 +2025,8 @@ export function setupCommonUI() {
     const cacheStatus = document.getElementById('cacheStatus');
     
     if (clearCacheBtn && cacheStatus) {
-        clearCacheBtn.addEventListener('click', () => {
-            const count = clearCache();
+        clearCacheBtn.addEventListener('click', async () => {
+            const count = await clearCache();
             cacheStatus.textContent = `✓ Cleared ${count} cached repositories`;
             setTimeout(() => {
                 cacheStatus.textContent = '';
@@ -531,35 +2034,36 @@ export function setupCommonUI() {
         });
     }
     
-    // Update cache status on page load
+    // Opening the cache also moves any localStorage cache from older versions
     updateCacheStatus();
+    updateRateLimitStatus();
 }
 
 /**
  * Update cache status display
  */
-export function updateCacheStatus() {
+export async function updateCacheStatus() {
     const cacheStatus = document.getElementById('cacheStatus');
     const cacheDetails = document.getElementById('cacheDetails');
     if (!cacheStatus) return;
     
     try {
-        const keys = Object.keys(localStorage);
-        const cacheKeys = keys.filter(key => key.startsWith(CACHE_KEY_PREFIX));
+        const allEntries = await getEntryInfos();
+        const entries = allEntries.filter(entry => entry.key.startsWith(CACHE_KEY_PREFIX));
+        const commentsSize = allEntries
+            .filter(entry => entry.key.startsWith(COMMENTS_CACHE_PREFIX) || entry.key.startsWith(PR_PANEL_CACHE_PREFIX))
+            .reduce((total, entry) => total + (entry.size || 0), 0);
         
-        if (cacheKeys.length > 0) {
+        if (entries.length > 0) {
             // Extract repository cache info
-            const cacheInfo = cacheKeys.map(key => {
+            const cacheInfo = entries.map(({ key, timestamp, size = 0 }) => {
                 try {
-                    const match = key.match(/github_cache_(.+)_(open|all)$/);
+                    const match = key.match(/github_cache_(.+)_(open|closed|all)(?:_since_(\d{4}-\d{2}-\d{2}))?$/);
                     if (!match) return null;
                     
                     const repo = match[1];
-                    const type = match[2];
-                    const cached = localStorage.getItem(key);
-                    if (!cached) return null;
+                    const type = match[3] ? `${match[2]} since ${match[3]}` : match[2];
                     
-                    const { timestamp } = JSON.parse(cached);
                     const ageMs = Date.now() - timestamp;
                     const ageMinutes = Math.floor(ageMs / 60000);
                     const ageSeconds = Math.floor((ageMs % 60000) / 1000);
@@ -567,7 +2071,9 @@ export function updateCacheStatus() {
                     const remainingMinutes = Math.max(0, Math.ceil(remainingMs / 60000));
                     
                     let timeAgo;
-                    if (ageMinutes > 0) {
+                    if (ageMinutes >= 60) {
+                        timeAgo = `${Math.floor(ageMinutes / 60)}h ${ageMinutes % 60}m ago`;
+                    } else if (ageMinutes > 0) {
                         timeAgo = `${ageMinutes}m ${ageSeconds}s ago`;
                     } else {
                         timeAgo = `${ageSeconds}s ago`;
@@ -576,6 +2082,7 @@ export function updateCacheStatus() {
                     return {
                         repo,
                         type,
+                        size,
                         timeAgo,
                         remainingMinutes,
                         expired: remainingMs <= 0
@@ -583,10 +2090,13 @@ export function updateCacheStatus() {
                 } catch (e) {
                     return null;
                 }
-            }).filter(info => info && !info.expired).sort((a, b) => a.repo.localeCompare(b.repo));
+            }).filter(info => info).sort((a, b) => a.repo.localeCompare(b.repo));
             
             const uniqueRepos = [...new Set(cacheInfo.map(info => info.repo))].length;
-            cacheStatus.innerHTML = `📦 ${uniqueRepos} repo${uniqueRepos !== 1 ? 's' : ''} cached (click to expand)`;
+            const totalSize = formatBytes(cacheInfo.reduce((total, info) => total + info.size, 0));
+            const commentsText = commentsSize > 0 ? ` (+ ${formatBytes(commentsSize)} comments & PR details)` : '';
+            const summary = `📦 ${uniqueRepos} repo${uniqueRepos !== 1 ? 's' : ''} cached, ${totalSize}${commentsText}`;
+            cacheStatus.innerHTML = `${summary} (click to expand)`;
             
             // Setup click handler for toggling
             cacheStatus.onclick = () => {
@@ -594,8 +2104,8 @@ export function updateCacheStatus() {
                     const isVisible = cacheDetails.style.display !== 'none';
                     cacheDetails.style.display = isVisible ? 'none' : 'block';
                     cacheStatus.innerHTML = isVisible ? 
-                        `📦 ${uniqueRepos} repo${uniqueRepos !== 1 ? 's' : ''} cached (click to expand)` :
-                        `📦 ${uniqueRepos} repo${uniqueRepos !== 1 ? 's' : ''} cached (click to collapse)`;
+                        `${summary} (click to expand)` :
+                        `${summary} (click to collapse)`;
                 }
             };
             
@@ -613,8 +2123,9 @@ export function updateCacheStatus() {
                             ${escapeHtml(info.repo)}
                         </span>
                         <span class="cache-detail-time">
+                            ${formatBytes(info.size)} • 
                             ${info.timeAgo} • 
-                            expires in ${info.remainingMinutes}m
+                            ${info.expired ? 'expired, revalidates on next load' : `expires in ${info.remainingMinutes}m`}
                         </span>
                     </div>
                 `).join('');
@@ -680,13 +2191,13 @@ export function getCacheAgeText(repoData) {
 }
 
 /**
- * Handle force refresh - clears cache if checkbox is checked
+ * Handle force refresh - expires cache if checkbox is checked so it gets revalidated
  */
-export function handleForceRefresh(repos) {
+export async function handleForceRefresh(repos) {
     const forceRefresh = document.getElementById('forceRefresh');
     if (forceRefresh && forceRefresh.checked) {
-        const clearedCount = clearCache(repos);
-        console.log(`Force refresh: cleared ${clearedCount} cache entries for`, repos);
+        const expiredCount = await expireCache(repos);
+        console.log(`Force refresh: expired ${expiredCount} cache entries for`, repos);
         // Uncheck the box after clearing
         forceRefresh.checked = false;
         return true;
@@ -695,20 +2206,22 @@ export function handleForceRefresh(repos) {
 }
 
 /**
- * Get initial repositories (from query string or textarea)
+ * Get initial repositories (from query string, the active workspace or textarea)
  */
 export function getInitialRepos() {
     const reposInput = document.getElementById('repos');
     if (!reposInput) return [];
     
     const queryRepos = getRepositoriesFromQueryString();
+    const workspace = getActiveWorkspace();
+    const initialRepos = queryRepos || (workspace && workspace.repos.length > 0 ? workspace.repos : null);
     
-    if (queryRepos) {
-        reposInput.value = queryRepos.join('\n');
-        return queryRepos;
+    if (initialRepos) {
+        reposInput.value = initialRepos.join('\n');
+        return initialRepos;
     }
     
-    return reposInput.value.split('\n').map(line => line.trim()).filter(line => line && line.includes('/'));
+    return parseRepoList(reposInput.value);
 }
 
 /**
@@ -719,6 +2232,12 @@ export function setupLoadButton(onLoad) {
     const tokenInput = document.getElementById('token');
     const reposInput = document.getElementById('repos');
     const forceRefresh = document.getElementById('forceRefresh');
+    const maxPagesInput = document.getElementById('maxPages');
+    const concurrencyInput = document.getElementById('concurrency');
+    const prDetailsInput = document.getElementById('prDetails');
+    const skipEmptyReposInput = document.getElementById('skipEmptyRepos');
+    const itemStateInput = document.getElementById('itemState');
+    const closedSinceInput = document.getElementById('closedSince');
     
     let configChanged = false;
 
@@ -729,6 +2248,46 @@ export function setupLoadButton(onLoad) {
         setGitHubToken(savedToken);
     }
     
+    // Load saved page cap from localStorage
+    const savedMaxPages = localStorage.getItem(MAX_PAGES_KEY);
+    if (savedMaxPages) {
+        setMaxPages(savedMaxPages);
+    }
+    if (maxPagesInput) {
+        maxPagesInput.value = maxPages;
+    }
+    
+    // Load saved concurrency limit from localStorage
+    const savedConcurrency = localStorage.getItem(CONCURRENCY_KEY);
+    if (savedConcurrency) {
+        setConcurrency(savedConcurrency);
+    }
+    if (concurrencyInput) {
+        concurrencyInput.value = concurrency;
+    }
+    
+    // Load saved PR details preference from localStorage
+    setPullRequestDetailsEnabled(localStorage.getItem(PR_DETAILS_KEY) === 'true');
+    if (prDetailsInput) {
+        prDetailsInput.checked = prDetailsEnabled;
+    }
+    
+    // Load saved "skip repositories without open issues" preference from localStorage
+    setSkipEmptyRepos(localStorage.getItem(SKIP_EMPTY_REPOS_KEY) === 'true');
+    if (skipEmptyReposInput) {
+        skipEmptyReposInput.checked = skipEmptyRepos;
+    }
+    
+    // Show the item state and "closed since" date from the URL
+    const updateClosedSinceInput = () => {
+        closedSinceInput.disabled = itemStateInput.value === 'open';
+    };
+    if (itemStateInput && closedSinceInput) {
+        itemStateInput.value = itemQuery.state;
+        closedSinceInput.value = itemQuery.since;
+        updateClosedSinceInput();
+    }
+    
     // Track changes to repos textarea
     const showChangeNotice = () => {
         if (!configChanged) {
@@ -748,12 +2307,50 @@ export function setupLoadButton(onLoad) {
     
     // Watch for changes in repos textarea
     reposInput.addEventListener('input', showChangeNotice);
+    
+    // Changing which items are loaded also needs a reload
+    if (itemStateInput && closedSinceInput) {
+        itemStateInput.addEventListener('change', () => {
+            updateClosedSinceInput();
+            showChangeNotice();
+        });
+        closedSinceInput.addEventListener('change', showChangeNotice);
+    }
+    if (skipEmptyReposInput) {
+        skipEmptyReposInput.addEventListener('change', showChangeNotice);
+    }
 
     loadBtn.addEventListener('click', async () => {
         const token = tokenInput.value.trim();
         setGitHubToken(token);
         const reposText = reposInput.value.trim();
 
+        if (maxPagesInput) {
+            setMaxPages(maxPagesInput.value);
+            maxPagesInput.value = maxPages;
+            localStorage.setItem(MAX_PAGES_KEY, String(maxPages));
+        }
+        
+        if (concurrencyInput) {
+            setConcurrency(concurrencyInput.value);
+            concurrencyInput.value = concurrency;
+            localStorage.setItem(CONCURRENCY_KEY, String(concurrency));
+        }
+        
+        if (prDetailsInput) {
+            setPullRequestDetailsEnabled(prDetailsInput.checked);
+            localStorage.setItem(PR_DETAILS_KEY, String(prDetailsEnabled));
+        }
+        
+        if (skipEmptyReposInput) {
+            setSkipEmptyRepos(skipEmptyReposInput.checked);
+            localStorage.setItem(SKIP_EMPTY_REPOS_KEY, String(skipEmptyRepos));
+        }
+        
+        if (itemStateInput && closedSinceInput) {
+            setItemQuery({ state: itemStateInput.value, since: closedSinceInput.value });
+        }
+
         // Save to localStorage
         localStorage.setItem('githubToken', token);
         localStorage.setItem('githubRepos', reposText);
@@ -766,28 +2363,34 @@ export function setupLoadButton(onLoad) {
             return;
         }
 
-        const repos = reposText.split('\n')
-            .map(line => line.trim())
-            .filter(line => line && line.includes('/'));
+        const entries = parseRepoList(reposText);
 
-        if (repos.length === 0) {
-            showError('Please enter valid repositories in format: owner/repo');
+        if (entries.length === 0) {
+            showError('Please enter valid repositories in format: owner/repo, owner/* or org:name');
             return;
         }
 
-        // Update URL with repos list (skip if only default repo)
+        // Update URL with repos list (skip if only default repo, unless it is saved in a workspace)
+        // Patterns are kept as entered so repositories added to an organization show up later
         const defaultRepo = 'hodpub/github-issues-tracker';
-        if (!(repos.length === 1 && repos[0] === defaultRepo)) {
+        if (!(entries.length === 1 && entries[0] === defaultRepo) || getActiveWorkspace()) {
             const url = new URL(window.location);
-            url.searchParams.set('repos', repos.join(','));
+            url.searchParams.set('repos', entries.join(','));
             window.history.pushState({}, '', url);
             
             // Update view switcher links with new repos (small delay to ensure URL is updated)
             setTimeout(() => updateViewSwitcherLinks(), 10);
         }
 
+        // Expand owner/* and org:name entries (force refresh also revalidates the owner repository lists)
+        const repos = await expandRepositories(entries, { refresh: Boolean(forceRefresh?.checked) });
+        if (repos.length === 0) {
+            showError('No repositories matched the entered patterns');
+            return;
+        }
+
         // Handle force refresh
-        handleForceRefresh(repos);
+        await handleForceRefresh(repos);
 
         await onLoad(repos);
         
@@ -831,8 +2434,13 @@ export async function setupAutoLoad(loadFunction) {
             window.history.replaceState({}, '', url);
         }
         
-        // Auto-load
-        await loadFunction(initialRepos);
+        // Auto-load (owner/* and org:name entries are expanded first)
+        const repos = await expandRepositories(initialRepos);
+        if (repos.length === 0) {
+            showError('No repositories matched the entered patterns');
+            return;
+        }
+        await loadFunction(repos);
         
         // Update cache status after loading (with small delay to ensure cache writes complete)
         setTimeout(() => updateCacheStatus(), 100);
@@ -876,10 +2484,10 @@ export function setupHelpPanel() {
             <section>
                 <h3>🚀 Getting Started</h3>
                 <ol>
-                    <li><strong>Enter repositories</strong> in the format <code>owner/repo</code> (one per line)</li>
+                    <li><strong>Enter repositories</strong> in the format <code>owner/repo</code> (one per line), or <code>owner/*</code> / <code>org:name</code> for a whole organization (<code>!owner/pattern</code> excludes)</li>
                     <li><strong>Optional (but required for private repos):</strong> Add a GitHub token for higher rate limits (5000/hour vs 60/hour) and to access private repositories</li>
                     <li>Click <strong>"Load Issues & PRs"</strong> to fetch data</li>
-                    <li>Switch between <strong>"By Repository"</strong> and <strong>"By Type"</strong> views</li>
+                    <li>Switch between <strong>"By Repository"</strong>, <strong>"By Type"</strong> and <strong>"By Milestone"</strong> views, or open <strong>"📊 Statistics"</strong></li>
                 </ol>
             </section>
             
@@ -887,9 +2495,13 @@ export function setupHelpPanel() {
                 <h3>🎯 Key Features</h3>
                 <ul>
                     <li><strong>Click on any issue/PR card</strong> to view details inline</li>
-                    <li><strong>PRs open directly on GitHub</strong> for code review</li>
+                    <li><strong>PRs show inline details</strong>: branches, changed files, reviewers and linked issues</li>
                     <li><strong>Color coding:</strong> Bugs (🐛 red/green), PRs (🔀 purple when present)</li>
-                    <li><strong>Automatic classification:</strong> Bugs, features, tasks based on labels</li>
+                    <li><strong>Automatic classification:</strong> Bugs, features, tasks based on labels, titles and issue types - customize it in <strong>Classification Rules</strong></li>
+                    <li><strong>📤 Export</strong> the filtered issues and PRs as CSV, JSON or a Markdown report from the filter bar</li>
+                    <li><strong>⌨️ Keyboard shortcuts:</strong> <kbd>j</kbd>/<kbd>k</kbd> move between cards, <kbd>Enter</kbd> opens, <kbd>o</kbd> opens on GitHub, <kbd>Esc</kbd> closes, <kbd>/</kbd> searches - press <kbd>?</kbd> for the full list</li>
+                    <li><strong>👀 What's new:</strong> cards opened, commented on or closed since your last visit are marked 🆕 NEW, 🔔 UPDATED or ✅ CLOSED - <strong>Auto-refresh</strong> keeps them up to date in the background</li>
+                    <li><strong>🔔 Desktop notifications</strong> for new bugs, new PRs and new comments on items you <strong>📌 Pin</strong> - turn them on in <strong>Desktop Notifications</strong></li>
                     <li><strong>1-hour caching</strong> to reduce API calls and stay within rate limits</li>
                 </ul>
             </section>
@@ -900,7 +2512,7 @@ export function setupHelpPanel() {
                     <li><strong>Click "📦 cached"</strong> to expand/collapse cache details</li>
                     <li><strong>Left-click</strong> a cached repo name to toggle it in your list</li>
                     <li><strong>Right-click</strong> a cached repo name to delete it from cache</li>
-                    <li><strong>"Force refresh"</strong> checkbox bypasses cache for fresh data</li>
+                    <li><strong>"Force refresh"</strong> checkbox revalidates cached data with GitHub (unchanged data doesn't use your rate limit)</li>
                     <li><strong>"Clear Cache"</strong> button removes all cached data</li>
                 </ul>
             </section>
@@ -911,6 +2523,7 @@ export function setupHelpPanel() {
                     <li><strong>URL auto-updates</strong> when you load repositories</li>
                     <li><strong>Share button (🔗)</strong> copies the current URL to clipboard</li>
                     <li><strong>Bookmark URLs</strong> to save your repository configurations</li>
+                    <li><strong>🗂️ Workspaces</strong> in the header save named repository sets with their view, filters and sort (<code>?workspace=name</code>)</li>
                     <li><strong>URL format:</strong> <code>?repos=owner/repo1,owner/repo2</code></li>
                 </ul>
             </section>
@@ -931,6 +2544,8 @@ export function setupHelpPanel() {
                 <ul>
                     <li><strong>By Repository:</strong> Each repo gets its own section showing all issues/PRs</li>
                     <li><strong>By Type:</strong> Issues grouped across all repos (PRs, Bugs, Features, Tasks)</li>
+                    <li><strong>By Milestone:</strong> Issues grouped across all repos by milestone, with due date, progress and overdue warnings</li>
+                    <li><strong>📊 Statistics:</strong> Open issue age, bug ratio per repo, weekly opened vs. closed, median time to close and the most reacted open issues</li>
                 </ul>
             </section>
             
@@ -984,6 +2599,112 @@ export function setupHelpPanel() {
     }
 }
 
+/**
+ * Trigger a download of generated content
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Setup a JSON configuration editor section (textarea, save/reset/import/export buttons)
+ * @param {Object} options
+ * @param {string} options.prefix - Prefix of the element ids (e.g. "rules" for #rulesSection, #rulesInput...)
+ * @param {Function} options.exportJson - Returns the active configuration as JSON text
+ * @param {Function} options.importJson - Validates and saves JSON text (throws on invalid input)
+ * @param {Function} options.reset - Restores the defaults
+ * @param {Function} options.describe - Returns a short summary of the active configuration
+ * @param {string} options.filename - File name used for exports
+ * @param {Function} onChange - Called after the configuration was saved, reset or imported
+ */
+export function setupJsonConfigEditor({ prefix, exportJson, importJson, reset, describe, filename }, onChange) {
+    const section = document.getElementById(`${prefix}Section`);
+    const toggle = document.getElementById(`${prefix}Toggle`);
+    const input = document.getElementById(`${prefix}Input`);
+    const status = document.getElementById(`${prefix}Status`);
+    const saveBtn = document.getElementById(`${prefix}SaveBtn`);
+    const resetBtn = document.getElementById(`${prefix}ResetBtn`);
+    const importBtn = document.getElementById(`${prefix}ImportBtn`);
+    const importFile = document.getElementById(`${prefix}ImportFile`);
+    const exportBtn = document.getElementById(`${prefix}ExportBtn`);
+    
+    if (!section || !input) return;
+    
+    input.value = exportJson();
+    
+    if (toggle) {
+        toggle.addEventListener('click', () => {
+            section.classList.toggle('collapsed');
+        });
+    }
+    
+    const showStatus = (message, isError = false) => {
+        if (!status) return;
+        status.textContent = message;
+        status.classList.toggle('rules-status-error', isError);
+    };
+    
+    const apply = (action, message) => {
+        try {
+            action();
+            input.value = exportJson();
+            showStatus(`✓ ${message} (${describe()})`);
+            if (onChange) onChange();
+        } catch (error) {
+            showStatus(`❌ ${error.message}`, true);
+        }
+    };
+    
+    saveBtn?.addEventListener('click', () => {
+        apply(() => importJson(input.value), 'Saved');
+    });
+    
+    resetBtn?.addEventListener('click', () => {
+        apply(() => reset(), 'Defaults restored');
+    });
+    
+    exportBtn?.addEventListener('click', () => {
+        downloadFile(filename, exportJson(), 'application/json');
+    });
+    
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            if (!file) return;
+            const text = await file.text();
+            apply(() => importJson(text), `Imported ${file.name}`);
+            importFile.value = '';
+        });
+    }
+}
+
+/**
+ * Setup the classification rules editor
+ * @param {Function} onChange - Called after the rules were saved, reset or imported
+ */
+export function setupClassificationRules(onChange) {
+    setupJsonConfigEditor({
+        prefix: 'rules',
+        exportJson: exportRuleSet,
+        importJson: importRuleSet,
+        reset: resetRuleSet,
+        describe: () => {
+            const { rules, repos } = getRuleSet();
+            return `${rules.length} rules, ${Object.keys(repos).length} repo overrides`;
+        },
+        filename: 'classification-rules.json'
+    }, onChange);
+}
+
 /**
  * Format a date for display
  */
@@ -996,74 +2717,130 @@ export function formatDate(dateString) {
 }
 
 /**
- * Format markdown text with support for mixed HTML/Markdown
+ * Format when a closed issue or PR was closed (or merged)
  */
-export function formatMarkdown(text) {
-    if (!text) return '';
-    
-    // Temporarily protect HTML tags from escaping (including multi-line tags)
-    const htmlTags = [];
-    let html = text.replace(/(<[^>]+>)/gs, (match) => {
-        htmlTags.push(match);
-        return `|||HTMLTAG${htmlTags.length - 1}|||`;
-    });
-    
-    // Now escape the remaining text
-    html = escapeHtml(html);
-    
-    // Code blocks with language
-    html = html.replace(/```(\w+)?\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>');
-    
-    // Inline code (must be before other formatting)
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-    
-    // Headers
-    html = html.replace(/^### (.+)$/gm, '<h3 class="md-h3">$1</h3>');
-    html = html.replace(/^## (.+)$/gm, '<h2 class="md-h2">$1</h2>');
-    html = html.replace(/^# (.+)$/gm, '<h1 class="md-h1">$1</h1>');
-    
-    // Bold
-    html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/__(.+?)__/g, '<strong>$1</strong>');
-    
-    // Italic
-    html = html.replace(/\*([^\*]+)\*/g, '<em>$1</em>');
-    html = html.replace(/_([^_]+)_/g, '<em>$1</em>');
-    
-    // Strikethrough
-    html = html.replace(/~~(.+?)~~/g, '<del>$1</del>');
+export function formatClosedDate(item) {
+    if (item.state !== 'closed' || !item.closed_at) return '';
     
-    // Links
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer" class="md-link">$1 ↗️</a>');
-    
-    // Unordered lists
-    html = html.replace(/^\* (.+)$/gm, '<li class="md-list-item">$1</li>');
-    html = html.replace(/^- (.+)$/gm, '<li class="md-list-item">$1</li>');
-    
-    // Ordered lists
-    html = html.replace(/^\d+\. (.+)$/gm, '<li class="md-list-item">$1</li>');
+    const mergedAt = item.pull_request?.merged_at;
+    return mergedAt ?
+        `<span class="item-closed-date" title="merged">🟣 Merged ${formatDate(mergedAt)}</span>` :
+        `<span class="item-closed-date" title="closed">✅ Closed ${formatDate(item.closed_at)}</span>`;
+}
+
+/**
+ * Render issues and PRs of several repositories as cards (By Type and Milestones views)
+ * @param {Array} items - Items in display order
+ * @param {Object} options - { showMilestone } adds the 🎯 milestone badge
+ */
+export function renderItemCards(items, { showMilestone = true } = {}) {
+    if (items.length === 0) {
+        return '<div class="empty-state">No items found</div>';
+    }
     
-    // Wrap consecutive list items and remove extra newlines within lists
-    html = html.replace(/(<li[\s\S]*?<\/li>\s*)+/g, (match) => {
-        // Remove newlines between list items
-        const cleanedList = match.replace(/\n/g, '');
-        return '<ul class="md-list">' + cleanedList + '</ul>';
+    return items.map(item => {
+        const stateIcon = item.state === 'open' ? '🟢' : '🔴';
+        const milestone = showMilestone && item.milestone ?
+            `<span class="milestone">🎯 ${escapeHtml(item.milestone.title)}</span>` : '';
+        const createdDate = formatDate(item.created_at);
+        const updatedDate = formatDate(item.updated_at);
+        
+        return `
+            <div class="item${item.state === 'closed' ? ' item-closed' : ''}" data-issue='${JSON.stringify(item).replace(/'/g, "&apos;")}' ${getCardAttributes(item)} ${getChangeAttributes(item)}>
+                <div class="item-header">
+                    <span class="item-number">#${item.number}</span>
+                    <span class="item-title-text">
+                        ${escapeHtml(item.title)}
+                    </span>
+                    <a href="${item.html_url}" class="item-title-link" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation();">↗️</a>
+                </div>
+                <div class="item-meta">
+                    ${formatChangeBadge(item)}
+                    <span class="label repo-badge" style="--repo-bg: ${getRepoColor(item.repoName)}">${escapeHtml(item.repoName)}</span>
+                    <span class="item-state">${stateIcon} ${item.state}</span>
+                    <span class="item-dates">📅 ${createdDate} • 🔄 ${updatedDate}</span>
+                    ${formatClosedDate(item)}
+                    ${milestone}
+                    ${formatPullRequestBadges(item)}
+                    ${item.comments > 0 ? `<span class="interaction-metric" title="comments">💬 ${item.comments}</span>` : ''}
+                    ${formatReactions(item.reactions)}
+                    ${item.labels.slice(0, 3).map(label => {
+                        const labelName = typeof label === 'string' ? label : label.name;
+                        const labelColor = typeof label === 'object' && label.color ?
+                            `#${label.color}` : '#6e7681';
+                        const textColor = getContrastColor(labelColor);
+                        return `<span class="label" style="--label-bg: ${labelColor}; --label-color: ${textColor}">${escapeHtml(labelName)}</span>`;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Format GitHub-Flavored Markdown as sanitized HTML
+ * @param {string} text - Markdown source
+ * @param {string|null} repo - Repository (owner/repo) used to link #123 references
+ */
+export function formatMarkdown(text, repo = null) {
+    return renderMarkdown(text, { repo });
+}
+
+/**
+ * Setup the issue detail panel: clicking a card (or its desktop notification) opens the item in it
+ */
+export function setupItemDetailsPanel() {
+    const iframePanel = document.getElementById('iframePanel');
+    const detailsContent = document.getElementById('detailsContent');
+    const closeIframe = document.getElementById('closeIframe');
+    
+    closeIframe.addEventListener('click', () => {
+        iframePanel.classList.remove('open');
+        detailsContent.innerHTML = '';
     });
     
-    // Blockquotes
-    html = html.replace(/^&gt; (.+)$/gm, '<blockquote class="md-blockquote">$1</blockquote>');
-    
-    // Horizontal rules
-    html = html.replace(/^---$/gm, '<hr class="md-hr">');
-    
-    // Restore HTML tags (must be before converting &lt; back)
-    html = html.replace(/\|\|\|HTMLTAG(\d+)\|\|\|/g, (match, index) => htmlTags[parseInt(index)]);
+    // Clicks on a card or its children open its details (but not the external link)
+    document.addEventListener('click', (e) => {
+        const item = e.target.closest('.item');
+        const link = e.target.closest('a.item-title-link');
+        
+        if (item && !link) {
+            e.preventDefault();
+            showItemDetails(JSON.parse(item.dataset.issue));
+        }
+    });
     
-    // Paragraphs - preserve double line breaks
-    html = html.replace(/\n\n/g, '</p><p class="md-paragraph">');
-    html = html.replace(/\n/g, '<br>');
+    // Desktop notifications of what the background auto-refresh finds open their item here too
+    setupNotifications(showItemDetails);
+}
+
+/**
+ * Open an issue or PR in the detail panel, with the 📌 Pin button in its header
+ */
+function showItemDetails(item) {
+    const iframePanel = document.getElementById('iframePanel');
+    const iframeTitle = document.getElementById('iframeTitle');
+    const detailsContent = document.getElementById('detailsContent');
+    const detailsLoading = document.getElementById('detailsLoading');
+    
+    iframeTitle.textContent = 'Loading...';
+    iframePanel.classList.add('open');
+    detailsContent.innerHTML = '';
+    detailsLoading.style.display = 'block';
+    showPinButton(item);
     
-    return '<p class="md-paragraph">' + html + '</p>';
+    try {
+        // Comments and PR details are fetched lazily once the panel is shown
+        if (item.pull_request) {
+            renderPullRequestDetails(item, item.html_url, iframeTitle, detailsContent);
+        } else {
+            renderIssueDetails(item, item.html_url, iframeTitle, detailsContent);
+        }
+    } catch (error) {
+        detailsContent.innerHTML = `<div class="error">Failed to load issue details: ${escapeHtml(error.message)}</div>`;
+    } finally {
+        detailsLoading.style.display = 'none';
+    }
 }
 
 /**
@@ -1094,14 +2871,311 @@ export function renderIssueDetails(issue, htmlUrl, iframeTitle, detailsContent)
         
         ${issue.body ? `
             <div class="issue-detail-body">
-                ${formatMarkdown(issue.body)}
+                ${formatMarkdown(issue.body, issue.repoName)}
             </div>
         ` : '<div class="issue-detail-body issue-detail-empty"><em>No description provided.</em></div>'}
     `;
     
+    html += `<div class="comments-section" id="commentsSection"></div>`;
     html += `<a href="${htmlUrl}" target="_blank" rel="noopener noreferrer" class="view-on-github">View on GitHub ↗️</a>`;
     
     detailsContent.innerHTML = html;
+    
+    // Comments are loaded lazily once the issue itself is shown
+    if (issue.comments > 0) {
+        loadIssueComments(issue, detailsContent.querySelector('#commentsSection'));
+    }
+}
+
+/**
+ * Render pull request details to the DOM
+ * Shows the same header, description and comments as issues, plus branches, changed files,
+ * reviewers and linked issues loaded on demand
+ */
+export function renderPullRequestDetails(pr, htmlUrl, iframeTitle, detailsContent) {
+    renderIssueDetails(pr, htmlUrl, iframeTitle, detailsContent);
+    
+    const section = document.createElement('div');
+    section.className = 'pr-detail-section';
+    detailsContent.querySelector('#commentsSection')?.before(section);
+    
+    loadPullRequestPanel(pr, section);
+}
+
+/**
+ * Fetch branches, changed files and reviews of a PR, cached until the PR is updated
+ */
+async function fetchPullRequestPanelData(pr) {
+    const cacheKey = `${PR_PANEL_CACHE_PREFIX}${pr.repoName}_${pr.number}`;
+    const cached = await getEntry(cacheKey).catch(() => null);
+    if (cached && cached.prUpdatedAt === pr.updated_at) {
+        return cached;
+    }
+    
+    const baseUrl = `${GITHUB_API_BASE}/repos/${pr.repoName}/pulls/${pr.number}`;
+    const [pull, reviews, files] = await Promise.all([
+        fetchGitHub(baseUrl),
+        fetchGitHub(`${baseUrl}/reviews?per_page=${PER_PAGE}`),
+        fetchPullRequestFiles(`${baseUrl}/files?per_page=${PER_PAGE}`)
+    ]);
+    
+    const entry = {
+        headRef: pull.head.label || pull.head.ref,
+        baseRef: pull.base.ref,
+        draft: Boolean(pull.draft),
+        merged: Boolean(pull.merged),
+        additions: pull.additions,
+        deletions: pull.deletions,
+        changedFiles: pull.changed_files,
+        files: files.items.map(file => ({
+            filename: file.filename,
+            status: file.status,
+            additions: file.additions,
+            deletions: file.deletions
+        })),
+        filesTruncated: files.truncated,
+        reviewers: getReviewerStates(reviews, pull.requested_reviewers || []),
+        prUpdatedAt: pr.updated_at,
+        timestamp: Date.now()
+    };
+    
+    try {
+        await setEntry(cacheKey, entry);
+    } catch (error) {
+        console.error('PR details cache write error:', error);
+    }
+    
+    return entry;
+}
+
+/**
+ * Fetch the changed files of a PR (limited to a few pages for very large PRs)
+ */
+async function fetchPullRequestFiles(url) {
+    const items = [];
+    let nextUrl = url;
+    let page = 0;
+    
+    while (nextUrl && page < PR_FILES_MAX_PAGES) {
+        const { data, response } = await requestGitHub(nextUrl);
+        items.push(...data);
+        page++;
+        nextUrl = getNextPageUrl(response.headers.get('Link'));
+    }
+    
+    return { items, truncated: Boolean(nextUrl) };
+}
+
+/**
+ * Get the latest review state of each reviewer, plus pending review requests
+ */
+function getReviewerStates(reviews, requestedReviewers) {
+    const states = new Map();
+    reviews
+        .filter(review => review.state !== 'PENDING' && review.user)
+        .forEach(review => {
+            // A comment doesn't replace an earlier approval or change request
+            const previous = states.get(review.user.login);
+            if (review.state === 'COMMENTED' && previous && previous !== 'COMMENTED') return;
+            states.set(review.user.login, review.state);
+        });
+    
+    requestedReviewers.forEach(reviewer => {
+        states.set(reviewer.login, 'REQUESTED');
+    });
+    
+    return [...states.entries()].map(([login, state]) => ({ login, state }));
+}
+
+/**
+ * Find the issues a PR closes from its description (e.g. "Fixes #12", "closes owner/repo#3")
+ */
+function getLinkedIssues(pr) {
+    if (!pr.body) return [];
+    
+    const pattern = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\b:?\s+(?:([\w.-]+\/[\w.-]+))?#(\d+)/gi;
+    const linked = new Map();
+    for (const match of pr.body.matchAll(pattern)) {
+        const repo = match[1] || pr.repoName;
+        linked.set(`${repo}#${match[2]}`, { repo, number: match[2] });
+    }
+    return [...linked.values()];
+}
+
+/**
+ * Load and render the PR-specific details into a container
+ */
+async function loadPullRequestPanel(pr, container) {
+    const prKey = `${pr.repoName}#${pr.number}`;
+    container.dataset.prKey = prKey;
+    container.innerHTML = '<div class="loading">Loading pull request details...</div>';
+    
+    const reviewLabels = {
+        APPROVED: '✅ Approved',
+        CHANGES_REQUESTED: '🔁 Changes requested',
+        COMMENTED: '💬 Commented',
+        DISMISSED: '🚫 Dismissed',
+        REQUESTED: '⏳ Review requested'
+    };
+    const fileStatusIcons = { added: '🟢', removed: '🔴', modified: '🟡', renamed: '🔵' };
+    
+    try {
+        const data = await fetchPullRequestPanelData(pr);
+        if (!container.isConnected || container.dataset.prKey !== prKey) return;
+        
+        const linkedIssues = getLinkedIssues(pr);
+        
+        container.innerHTML = `
+            <div class="pr-detail-block">
+                <div class="comments-title">🔀 Branches</div>
+                <div class="pr-branches">
+                    <code>${escapeHtml(data.headRef)}</code> → <code>${escapeHtml(data.baseRef)}</code>
+                    ${data.draft ? '<span class="pr-badge pr-badge-draft">📝 Draft</span>' : ''}
+                    ${data.merged ? '<span class="pr-badge pr-badge-success">🟣 Merged</span>' : ''}
+                </div>
+            </div>
+            
+            <div class="pr-detail-block">
+                <div class="comments-title">👥 Reviewers</div>
+                ${data.reviewers.length > 0 ? `
+                    <ul class="pr-reviewers">
+                        ${data.reviewers.map(reviewer => `
+                            <li><span class="comment-author">👤 ${escapeHtml(reviewer.login)}</span> ${reviewLabels[reviewer.state] || escapeHtml(reviewer.state)}</li>
+                        `).join('')}
+                    </ul>
+                ` : '<div class="issue-detail-empty"><em>No reviews yet.</em></div>'}
+            </div>
+            
+            ${linkedIssues.length > 0 ? `
+                <div class="pr-detail-block">
+                    <div class="comments-title">🔗 Linked Issues</div>
+                    <ul class="pr-linked-issues">
+                        ${linkedIssues.map(({ repo, number }) => `
+                            <li><a href="https://github.com/${escapeHtml(repo)}/issues/${number}" target="_blank" rel="noopener noreferrer" class="md-link">${repo === pr.repoName ? '' : escapeHtml(repo)}#${number} ↗️</a></li>
+                        `).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            <div class="pr-detail-block">
+                <div class="comments-title">
+                    📁 Files changed (${data.changedFiles})
+                    <span class="pr-diff-stat"><span class="pr-additions">+${data.additions}</span> <span class="pr-deletions">−${data.deletions}</span></span>
+                </div>
+                <ul class="pr-files">
+                    ${data.files.map(file => `
+                        <li>
+                            <span class="pr-file-name" title="${escapeHtml(file.status)}">${fileStatusIcons[file.status] || '⚪'} ${escapeHtml(file.filename)}</span>
+                            <span class="pr-diff-stat"><span class="pr-additions">+${file.additions}</span> <span class="pr-deletions">−${file.deletions}</span></span>
+                        </li>
+                    `).join('')}
+                </ul>
+                ${data.filesTruncated ? `<div class="issue-detail-empty"><em>Only the first ${data.files.length} files are shown.</em></div>` : ''}
+            </div>
+        `;
+    } catch (error) {
+        if (container.dataset.prKey !== prKey) return;
+        container.innerHTML = `<div class="error">Failed to load pull request details: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+/**
+ * Fetch a page of comments for an issue, using the comments cache when the issue is unchanged
+ * @param {Object} issue - Issue (or PR) item
+ * @param {boolean} loadMore - Fetch the next page instead of (re)using the first one
+ * @returns {Promise<{comments: Array, nextUrl: string|null}>}
+ */
+async function fetchIssueComments(issue, loadMore = false) {
+    const cacheKey = `${COMMENTS_CACHE_PREFIX}${issue.repoName}_${issue.number}`;
+    const cached = await getEntry(cacheKey).catch(() => null);
+    const cacheValid = cached && cached.issueUpdatedAt === issue.updated_at;
+    
+    if (cacheValid && !loadMore) {
+        return cached;
+    }
+    
+    const pageUrl = loadMore && cacheValid ? cached.nextUrl : `${issue.comments_url}?per_page=${COMMENTS_PER_PAGE}`;
+    if (!pageUrl) return cached;
+    
+    const { data, response } = await requestGitHub(pageUrl);
+    
+    // Keep only the fields the detail panel shows
+    const page = data.map(comment => ({
+        id: comment.id,
+        user: { login: comment.user?.login || 'ghost' },
+        created_at: comment.created_at,
+        body: comment.body,
+        reactions: comment.reactions,
+        html_url: comment.html_url
+    }));
+    
+    const entry = {
+        comments: loadMore && cacheValid ? [...cached.comments, ...page] : page,
+        nextUrl: getNextPageUrl(response.headers.get('Link')),
+        issueUpdatedAt: issue.updated_at,
+        timestamp: Date.now()
+    };
+    
+    try {
+        await setEntry(cacheKey, entry);
+    } catch (error) {
+        console.error('Comments cache write error:', error);
+    }
+    
+    return entry;
+}
+
+/**
+ * Load and render the comments of an issue into a container
+ * @param {Object} issue - Issue (or PR) item
+ * @param {HTMLElement} container - Element that receives the comments
+ * @param {boolean} loadMore - Append the next page of comments
+ */
+export async function loadIssueComments(issue, container, loadMore = false) {
+    if (!container) return;
+    
+    // Ignore results for an issue that is no longer displayed
+    const issueKey = `${issue.repoName}#${issue.number}`;
+    container.dataset.issueKey = issueKey;
+    
+    const loadMoreBtn = container.querySelector('.load-more-comments');
+    if (loadMoreBtn) {
+        loadMoreBtn.disabled = true;
+        loadMoreBtn.textContent = 'Loading comments...';
+    } else {
+        container.innerHTML = '<div class="loading">Loading comments...</div>';
+    }
+    
+    try {
+        const { comments, nextUrl } = await fetchIssueComments(issue, loadMore);
+        if (!container.isConnected || container.dataset.issueKey !== issueKey) return;
+        
+        const remaining = Math.max(0, issue.comments - comments.length);
+        container.innerHTML = `
+            <div class="comments-title">💬 Comments (${issue.comments})</div>
+            ${comments.map(comment => `
+                <div class="comment">
+                    <div class="comment-header">
+                        <span class="comment-author">👤 ${escapeHtml(comment.user.login)}</span>
+                        <a href="${comment.html_url}" target="_blank" rel="noopener noreferrer" class="comment-date">${formatDate(comment.created_at)}</a>
+                    </div>
+                    <div class="comment-body">
+                        ${formatMarkdown(comment.body, issue.repoName)}
+                    </div>
+                    ${formatReactions(comment.reactions) ? `<div class="comment-reactions">${formatReactions(comment.reactions)}</div>` : ''}
+                </div>
+            `).join('')}
+            ${nextUrl ? `<button class="load-more-comments">Load more comments${remaining > 0 ? ` (${remaining} remaining)` : ''}</button>` : ''}
+        `;
+        
+        container.querySelector('.load-more-comments')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            loadIssueComments(issue, container, true);
+        });
+    } catch (error) {
+        if (container.dataset.issueKey !== issueKey) return;
+        container.innerHTML = `<div class="error">Failed to load comments: ${escapeHtml(error.message)}</div>`;
+    }
 }
 
 /**
@@ -0,0 +1,81 @@
+import { getTotalReactions, updateViewSwitcherLinks } from './shared.mjs';
+
+// Query string parameter used to store the sort order
+const SORT_PARAM = 'sort';
+
+/**
+ * Get a timestamp for a date string (0 when missing)
+ */
+function getTime(dateString) {
+    return dateString ? new Date(dateString).getTime() : 0;
+}
+
+/**
+ * Get the milestone due date of an item (items without one sort last)
+ */
+function getDueTime(item) {
+    return item.milestone && item.milestone.due_on ? getTime(item.milestone.due_on) : Number.MAX_SAFE_INTEGER;
+}
+
+// Available sort orders (the default order of each view is used when none is selected)
+export const SORT_ORDERS = [
+    { key: 'reactions', label: '❤️ Most reactions', compare: (a, b) => getTotalReactions(b.reactions) - getTotalReactions(a.reactions) },
+    { key: 'thumbsup', label: '👍 Most 👍', compare: (a, b) => (b.reactions?.['+1'] || 0) - (a.reactions?.['+1'] || 0) },
+    { key: 'comments', label: '💬 Most comments', compare: (a, b) => (b.comments || 0) - (a.comments || 0) },
+    { key: 'newest', label: '🆕 Newest', compare: (a, b) => getTime(b.created_at) - getTime(a.created_at) },
+    { key: 'updated', label: '🔄 Recently updated', compare: (a, b) => getTime(b.updated_at) - getTime(a.updated_at) },
+    { key: 'stale', label: '🕸️ Oldest untouched', compare: (a, b) => getTime(a.updated_at) - getTime(b.updated_at) },
+    { key: 'milestone', label: '🎯 Milestone due date', compare: (a, b) => getDueTime(a) - getDueTime(b) }
+];
+
+// State
+let activeSort = getSortFromQueryString();
+
+/**
+ * Read the sort order from the query string
+ */
+export function getSortFromQueryString() {
+    const key = new URLSearchParams(window.location.search).get(SORT_PARAM);
+    return SORT_ORDERS.some(order => order.key === key) ? key : '';
+}
+
+/**
+ * Get the selected sort order ('' for the view's default order)
+ */
+export function getActiveSort() {
+    return activeSort;
+}
+
+/**
+ * Select a sort order and store it in the query string
+ */
+export function setActiveSort(key) {
+    activeSort = SORT_ORDERS.some(order => order.key === key) ? key : '';
+    
+    const url = new URL(window.location);
+    if (activeSort) {
+        url.searchParams.set(SORT_PARAM, activeSort);
+    } else {
+        url.searchParams.delete(SORT_PARAM);
+    }
+    window.history.replaceState({}, '', url);
+    updateViewSwitcherLinks();
+}
+
+/**
+ * Sort items with the selected sort order
+ * Ties keep the most reacted items first
+ * @param {Array} items - Issues and PRs
+ * @param {Function} defaultCompare - Comparator used when no sort order is selected
+ * @returns {Array} A sorted copy of the items
+ */
+export function sortItems(items, defaultCompare = null) {
+    const order = SORT_ORDERS.find(option => option.key === activeSort);
+    if (!order) {
+        return defaultCompare ? [...items].sort(defaultCompare) : [...items];
+    }
+    
+    return [...items].sort((a, b) =>
+        order.compare(a, b) || getTotalReactions(b.reactions) - getTotalReactions(a.reactions)
+    );
+}
@@ -0,0 +1,384 @@
+import {
+    fetchRepositoriesData,
+    getItemQuery,
+    showError,
+    escapeHtml,
+    formatReactions,
+    getTotalReactions,
+    getRepoColor,
+    setupCommonUI,
+    setupLoadButton,
+    setupAutoLoad,
+    setupAdBanner,
+    setupHelpPanel,
+    setupAnalyticsConsent,
+    setupClassificationRules,
+    reclassifyRepoData,
+    setupRepositoryLoader,
+    loadRepositories,
+    getLoadedRepositories,
+    reclassifyLoadedRepositories,
+    renderRepositoryStatusCards,
+    setupItemDetailsPanel
+} from './shared.mjs';
+import {
+    setupFilterBar,
+    updateFilterOptions,
+    filterItems,
+    hasActiveFilters
+} from './filters.mjs';
+import {
+    CHART_COLORS,
+    renderBarChart,
+    renderHorizontalBarChart,
+    renderLineChart
+} from './charts.mjs';
+import { setupKeyboardNavigation, getCardAttributes } from './keyboard.mjs';
+import {
+    getChangeAttributes,
+    formatChangeBadge
+} from './changes.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Number of weeks shown in the opened vs. closed trend (and loaded as closed history)
+const TREND_WEEKS = 12;
+
+// Number of issues in the top-reacted list
+const TOP_REACTED_COUNT = 10;
+
+// Age buckets for open issues (upper bound in days)
+const AGE_BUCKETS = [
+    { label: '< 1 week', maxDays: 7 },
+    { label: '1-4 weeks', maxDays: 30 },
+    { label: '1-3 months', maxDays: 90 },
+    { label: '3-6 months', maxDays: 182 },
+    { label: '6-12 months', maxDays: 365 },
+    { label: '> 1 year', maxDays: Infinity }
+];
+
+// State
+let closedHistory = [];
+let loadingHistory = false;
+
+// Initialize the application
+document.addEventListener('DOMContentLoaded', () => {
+    setupCommonUI();
+    setupAdBanner();
+    setupHelpPanel();
+    setupKeyboardNavigation();
+    setupAnalyticsConsent();
+    setupFilterBar(() => renderStats(), { itemControls: false });
+    setupClassificationRules(() => {
+        reclassifyLoadedRepositories();
+        closedHistory = closedHistory.map(reclassifyRepoData);
+        renderStats();
+    });
+    setupRepositoryLoader({
+        render: renderStats,
+        getItems: getAllItems,
+        onLoad: () => {
+            closedHistory = [];
+        }
+    });
+    setupLoadButton(loadRepositories);
+    
+    // Auto-load on page load with initial repos
+    setupAutoLoad(loadRepositories);
+    
+    // Detail panel, opened from the cards and from desktop notifications
+    setupItemDetailsPanel();
+    
+    // Closed history for the trend
+    document.addEventListener('click', (e) => {
+        if (e.target.closest('.load-history-btn')) {
+            loadClosedHistory();
+        }
+    });
+});
+
+/**
+ * Load the issues closed during the trend period for the loaded repositories
+ * Only needed when the active query doesn't already include closed items
+ */
+async function loadClosedHistory() {
+    if (loadingHistory || getLoadedRepositories().length === 0) return;
+    
+    loadingHistory = true;
+    renderStats();
+    
+    try {
+        const since = new Date(getWeekStart(Date.now()) - (TREND_WEEKS - 1) * 7 * DAY_MS).toISOString().slice(0, 10);
+        const results = await fetchRepositoriesData(getLoadedRepositories().map(r => r.repo), { state: 'closed', since });
+        
+        const failed = results.filter(r => !r.success);
+        if (failed.length > 0) {
+            const errorMessages = failed.map(r => `${r.repo}: ${r.error}`).join('<br>');
+            showError(`Failed to load closed history for some repositories:<br>${errorMessages}`);
+        }
+        
+        closedHistory = results.filter(r => r.success);
+        updateFilterOptions(getAllItems());
+    } catch (error) {
+        showError(`Error loading closed history: ${error.message}`);
+    } finally {
+        loadingHistory = false;
+        renderStats();
+    }
+}
+
+/**
+ * Get every loaded issue and PR, including the closed history (each item once)
+ */
+function getAllItems() {
+    const items = new Map();
+    [...getLoadedRepositories(), ...closedHistory].forEach(r => {
+        [...r.issues, ...r.pullRequests].forEach(item => {
+            items.set(`${item.repoName}#${item.number}`, item);
+        });
+    });
+    return [...items.values()];
+}
+
+/**
+ * Check whether closed issues are available (loaded by the query or as history)
+ */
+function hasClosedItems() {
+    return getItemQuery().state !== 'open' || closedHistory.length > 0;
+}
+
+/**
+ * Get the median of a list of numbers (null when empty)
+ */
+function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/**
+ * Get the start (Monday 00:00 UTC) of the week containing a timestamp
+ */
+function getWeekStart(time) {
+    const date = new Date(time);
+    const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+}
+
+/**
+ * Count open issues per age bucket
+ */
+function getAgeDistribution(issues) {
+    const now = Date.now();
+    const counts = AGE_BUCKETS.map(bucket => ({ label: bucket.label, value: 0 }));
+    
+    issues.filter(issue => issue.state === 'open').forEach(issue => {
+        const ageDays = (now - new Date(issue.created_at).getTime()) / DAY_MS;
+        const index = AGE_BUCKETS.findIndex(bucket => ageDays < bucket.maxDays);
+        counts[index].value++;
+    });
+    
+    return counts;
+}
+
+/**
+ * Get the median time-to-close (in days) of the closed issues of each repository
+ * @returns {Array<{repo, median, count}>} Slowest repositories first
+ */
+function getTimeToClose(issues) {
+    const durations = new Map();
+    
+    issues.filter(issue => issue.state === 'closed' && issue.closed_at).forEach(issue => {
+        const days = (new Date(issue.closed_at).getTime() - new Date(issue.created_at).getTime()) / DAY_MS;
+        if (!durations.has(issue.repoName)) {
+            durations.set(issue.repoName, []);
+        }
+        durations.get(issue.repoName).push(days);
+    });
+    
+    return [...durations.entries()]
+        .map(([repo, values]) => ({ repo, median: getMedian(values), count: values.length }))
+        .sort((a, b) => b.median - a.median);
+}
+
+/**
+ * Count the issues opened and closed in each of the last weeks
+ * @returns {{labels: Array<string>, opened: Array<number>, closed: Array<number>}}
+ */
+function getWeeklyTrend(issues) {
+    const firstWeek = getWeekStart(Date.now()) - (TREND_WEEKS - 1) * 7 * DAY_MS;
+    const opened = new Array(TREND_WEEKS).fill(0);
+    const closed = new Array(TREND_WEEKS).fill(0);
+    
+    const getWeekIndex = dateString => Math.floor((new Date(dateString).getTime() - firstWeek) / (7 * DAY_MS));
+    
+    issues.forEach(issue => {
+        const openedIndex = getWeekIndex(issue.created_at);
+        if (openedIndex >= 0 && openedIndex < TREND_WEEKS) opened[openedIndex]++;
+        
+        if (issue.state === 'closed' && issue.closed_at) {
+            const closedIndex = getWeekIndex(issue.closed_at);
+            if (closedIndex >= 0 && closedIndex < TREND_WEEKS) closed[closedIndex]++;
+        }
+    });
+    
+    const labels = Array.from({ length: TREND_WEEKS }, (_, index) =>
+        new Date(firstWeek + index * 7 * DAY_MS).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })
+    );
+    
+    return { labels, opened, closed };
+}
+
+/**
+ * Get the share of open issues classified as bugs in each repository
+ * @returns {Array<{repo, bugs, total, ratio}>} Highest ratio first
+ */
+function getBugRatios(issues) {
+    const counts = new Map();
+    
+    issues.filter(issue => issue.state === 'open').forEach(issue => {
+        if (!counts.has(issue.repoName)) {
+            counts.set(issue.repoName, { repo: issue.repoName, bugs: 0, total: 0 });
+        }
+        const repoCounts = counts.get(issue.repoName);
+        repoCounts.total++;
+        if (issue.type === 'bug') repoCounts.bugs++;
+    });
+    
+    return [...counts.values()]
+        .map(repoCounts => ({ ...repoCounts, ratio: repoCounts.bugs / repoCounts.total }))
+        .sort((a, b) => b.ratio - a.ratio || b.total - a.total);
+}
+
+/**
+ * Format a number of days for display
+ */
+function formatDays(days) {
+    if (days < 1) return `${Math.round(days * 24)}h`;
+    return `${days < 10 ? days.toFixed(1) : Math.round(days)} days`;
+}
+
+/**
+ * Render a statistics card
+ */
+function renderCard(title, subtitle, content, wide = false) {
+    return `
+        <div class="stats-card${wide ? ' stats-card-wide' : ''}">
+            <div class="stats-card-title">${title}</div>
+            ${subtitle ? `<div class="stats-card-subtitle">${subtitle}</div>` : ''}
+            <div class="stats-card-content">${content}</div>
+        </div>
+    `;
+}
+
+/**
+ * Render the hint shown instead of the charts that need closed issues
+ */
+function renderClosedHistoryHint() {
+    return `
+        <div class="stats-history-hint">
+            <p>Only open issues are loaded. Load the issues closed in the last ${TREND_WEEKS} weeks to see this chart.</p>
+            <button class="load-history-btn" ${loadingHistory ? 'disabled' : ''}>
+                ${loadingHistory ? '⏳ Loading closed history...' : '📚 Load closed history'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Render the top-reacted open issues
+ */
+function renderTopReacted(issues) {
+    const topIssues = issues
+        .filter(issue => issue.state === 'open' && getTotalReactions(issue.reactions) > 0)
+        .sort((a, b) => getTotalReactions(b.reactions) - getTotalReactions(a.reactions))
+        .slice(0, TOP_REACTED_COUNT);
+    
+    if (topIssues.length === 0) {
+        return '<div class="empty-state">No open issues with reactions</div>';
+    }
+    
+    return topIssues.map((issue, index) => `
+        <div class="item stats-top-item" data-issue='${JSON.stringify(issue).replace(/'/g, "&apos;")}' ${getCardAttributes(issue)} ${getChangeAttributes(issue)}>
+            <div class="item-header">
+                <span class="stats-rank">${index + 1}.</span>
+                <span class="item-number">#${issue.number}</span>
+                <span class="item-title-text">${escapeHtml(issue.title)}</span>
+                <a href="${issue.html_url}" class="item-title-link" target="_blank" rel="noopener noreferrer" onclick="event.stopPropagation();">↗️</a>
+            </div>
+            <div class="item-meta">
+                ${formatChangeBadge(issue)}
+                <span class="label repo-badge" style="--repo-bg: ${getRepoColor(issue.repoName)}">${escapeHtml(issue.repoName)}</span>
+                ${formatReactions(issue.reactions)}
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render the statistics of all loaded repositories with the active filters
+ */
+function renderStats() {
+    const swimlanesEl = document.getElementById('swimlanes');
+    // Repositories that failed or are still loading
+    const placeholders = renderRepositoryStatusCards();
+    if (getLoadedRepositories().length === 0) {
+        swimlanesEl.innerHTML = placeholders;
+        return;
+    }
+    
+    // Statistics are about issues - PRs are left out
+    const issues = filterItems(getAllItems()).filter(item => !item.pull_request);
+    
+    if (issues.length === 0) {
+        swimlanesEl.innerHTML = (hasActiveFilters() ?
+            '<div class="empty-state">No issues match the current filters</div>' :
+            '<div class="empty-state">No issues found</div>') + placeholders;
+        return;
+    }
+    
+    const openCount = issues.filter(issue => issue.state === 'open').length;
+    const closedCount = issues.length - openCount;
+    
+    const ageChart = renderBarChart(getAgeDistribution(issues));
+    
+    const timeToClose = getTimeToClose(issues);
+    const timeToCloseChart = !hasClosedItems() ? renderClosedHistoryHint() :
+        renderHorizontalBarChart(timeToClose.map(entry => ({
+            label: entry.repo,
+            value: entry.median,
+            text: `${formatDays(entry.median)} (${entry.count} closed)`
+        })), { color: CHART_COLORS.purple });
+    
+    const trend = getWeeklyTrend(issues);
+    const trendChart = !hasClosedItems() ? renderClosedHistoryHint() :
+        renderLineChart(trend.labels, [
+            { name: 'Opened', color: CHART_COLORS.green, values: trend.opened },
+            { name: 'Closed', color: CHART_COLORS.purple, values: trend.closed }
+        ]);
+    
+    const bugRatioChart = renderHorizontalBarChart(getBugRatios(issues).map(entry => ({
+        label: entry.repo,
+        value: entry.ratio,
+        text: `${Math.round(entry.ratio * 100)}% (${entry.bugs} of ${entry.total})`,
+        color: entry.ratio > 0.5 ? CHART_COLORS.red : CHART_COLORS.yellow
+    })), { max: 1 });
+    
+    swimlanesEl.innerHTML = `
+        <div class="stats-summary">
+            <span>📝 Issues: ${issues.length}</span>
+            <span>🟢 Open: ${openCount}</span>
+            <span>✅ Closed: ${closedCount}</span>
+            <span>📂 Repos: ${new Set(issues.map(issue => issue.repoName)).size}</span>
+        </div>
+        <div class="stats-grid">
+            ${renderCard('⏳ Open issue age', 'How long open issues have been waiting', ageChart)}
+            ${renderCard('🐛 Bug ratio per repository', 'Share of open issues classified as bugs', bugRatioChart)}
+            ${renderCard('📈 Opened vs. closed per week', `Issues opened and closed in the last ${TREND_WEEKS} weeks (weeks start on Monday)`, trendChart, true)}
+            ${renderCard('⏱️ Median time to close', 'Per repository, from creation to close, over the loaded closed issues', timeToCloseChart, true)}
+            ${renderCard('❤️ Top reacted open issues', `The ${TOP_REACTED_COUNT} open issues with the most reactions`, renderTopReacted(issues), true)}
+        </div>
+        ${placeholders}
+    `;
+}
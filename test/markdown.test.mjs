@@ -0,0 +1,128 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+// markdown.mjs sanitizes through the DOM, so it is loaded once the globals exist
+let sanitizeHtml;
+let renderMarkdown;
+
+before(async () => {
+    const { window } = new JSDOM('');
+    globalThis.document = window.document;
+    globalThis.Node = window.Node;
+    ({ sanitizeHtml, renderMarkdown } = await import('../markdown.mjs'));
+});
+
+/**
+ * Parse sanitized HTML back into a fragment to inspect what survived
+ */
+function parse(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    return template.content;
+}
+
+/**
+ * Get every attribute left in the output as [tag, name, value]
+ */
+function getAttributes(html) {
+    return [...parse(html).querySelectorAll('*')].flatMap(element =>
+        [...element.attributes].map(attribute => [element.localName, attribute.name, attribute.value]));
+}
+
+/**
+ * Assert that no event handler attribute survived
+ */
+function assertNoEventHandlers(html) {
+    const handlers = getAttributes(html).filter(([, name]) => name.startsWith('on'));
+    assert.deepEqual(handlers, [], `event handlers left in ${html}`);
+}
+
+test('sanitizeHtml removes event handlers from images', () => {
+    const html = sanitizeHtml('<img src=x onerror="alert(1)">');
+    assertNoEventHandlers(html);
+    assert.ok(parse(html).querySelector('img'), 'the image itself is kept');
+});
+
+test('sanitizeHtml removes javascript: links', () => {
+    const html = sanitizeHtml('<a href="javascript:alert(1)">click</a>');
+    assert.equal(parse(html).querySelector('a').hasAttribute('href'), false);
+    assert.doesNotMatch(html, /javascript:/i);
+});
+
+test('sanitizeHtml removes obfuscated javascript: links', () => {
+    const html = sanitizeHtml('<a href=" JaVaScRiPt&colon;alert(1)">click</a><a href="java&#x09;script:alert(1)">click</a>');
+    assert.deepEqual([...parse(html).querySelectorAll('a[href]')], []);
+});
+
+test('sanitizeHtml removes javascript: links with control characters inside the scheme', () => {
+    const html = sanitizeHtml('<a href="java\tscript:alert(1)">a</a><a href="java\nscript:alert(1)">b</a>' +
+        '<a href="\u0001javascript:alert(1)">c</a><a href="java\rscript:alert(1)">d</a>' +
+        '<a href="javascript\u007f:alert(1)">e</a><a href="java\u001fscript:alert(1)">f</a>');
+    assert.deepEqual([...parse(html).querySelectorAll('a[href]')], []);
+});
+
+test('sanitizeHtml removes entity-encoded javascript: links in raw HTML', () => {
+    const html = sanitizeHtml('<a href="&#106;avascript:alert(1)">a</a><a href="&#x6A;&#x61;vascript:alert(1)">b</a>' +
+        '<a href="javascript&#58;alert(1)">c</a><a href="&#0000106avascript:alert(1)">d</a>');
+    assert.deepEqual([...parse(html).querySelectorAll('a[href]')], []);
+    assert.doesNotMatch(html, /javascript/i);
+});
+
+test('sanitizeHtml drops script elements with their content', () => {
+    const html = sanitizeHtml('before<script>alert(1)</script>after');
+    assert.equal(parse(html).querySelector('script'), null);
+    assert.doesNotMatch(html, /alert/);
+    assert.equal(html, 'beforeafter');
+});
+
+test('sanitizeHtml drops svg elements and their onload handlers', () => {
+    const html = sanitizeHtml('<svg onload="alert(1)"><circle r="1"></circle></svg><svg><script>alert(1)</script></svg>');
+    assert.equal(parse(html).querySelector('svg, script'), null);
+    assertNoEventHandlers(html);
+});
+
+test('sanitizeHtml removes data: URLs', () => {
+    const html = sanitizeHtml('<img src="data:image/svg+xml;base64,PHN2Zz4="><a href="data:text/html,<script>alert(1)</script>">x</a>');
+    assert.equal(parse(html).querySelector('img').hasAttribute('src'), false);
+    assert.equal(parse(html).querySelector('a').hasAttribute('href'), false);
+    assert.doesNotMatch(html, /data:/i);
+});
+
+test('sanitizeHtml keeps safe links and marks them as external', () => {
+    const link = parse(sanitizeHtml('<a href="https://example.com/">ok</a>')).querySelector('a');
+    assert.equal(link.getAttribute('href'), 'https://example.com/');
+    assert.equal(link.getAttribute('rel'), 'noopener noreferrer');
+});
+
+test('renderMarkdown does not link javascript: URLs', () => {
+    const html = renderMarkdown('[x](javascript:alert(1))');
+    assert.deepEqual([...parse(html).querySelectorAll('a[href]')], []);
+    assert.doesNotMatch(html, /href="javascript:/i);
+});
+
+test('renderMarkdown does not load javascript: or data: images', () => {
+    const html = renderMarkdown('![x](javascript:alert(1)) ![y](data:image/png;base64,AAAA)');
+    assert.deepEqual([...parse(html).querySelectorAll('img[src]')], []);
+});
+
+test('renderMarkdown sanitizes raw HTML in the source', () => {
+    const html = renderMarkdown('Hello <img src=x onerror=alert(1)>\n\n<script>alert(1)</script>\n\n<svg onload=alert(1)></svg>\n\n<a href="javascript:alert(1)">x</a>');
+    assertNoEventHandlers(html);
+    assert.equal(parse(html).querySelector('script, svg'), null);
+    assert.deepEqual([...parse(html).querySelectorAll('a[href^="javascript"]')], []);
+});
+
+test('renderMarkdown sanitizes raw HTML inside a table cell', () => {
+    const html = renderMarkdown('| a | b |\n| --- | --- |\n| <img src=x onerror=alert(1)> | <a href="javascript:alert(1)">x</a> |');
+    assert.ok(parse(html).querySelector('td img'), 'the cell keeps the image');
+    assertNoEventHandlers(html);
+    assert.deepEqual([...parse(html).querySelectorAll('a[href]')], []);
+});
+
+test('renderMarkdown sanitizes raw HTML inside a task list item', () => {
+    const html = renderMarkdown('- [ ] <img src=x onerror=alert(1)>\n- [x] done <svg onload=alert(1)></svg>');
+    assert.ok(parse(html).querySelector('.md-task-item img'), 'the task item keeps the image');
+    assertNoEventHandlers(html);
+    assert.equal(parse(html).querySelector('svg'), null);
+});
@@ -0,0 +1,261 @@
+// Storage key for the saved workspaces
+const WORKSPACES_STORAGE_KEY = 'github_workspaces';
+const WORKSPACES_VERSION = 1;
+
+// Query string parameter that selects a workspace (workspace=client-x)
+const WORKSPACE_PARAM = 'workspace';
+
+// Views a workspace can open in
+const WORKSPACE_VIEWS = ['index.html', 'by-type.html', 'milestones.html', 'stats.html'];
+const DEFAULT_VIEW = 'index.html';
+
+// Query string parameters that belong to the workspace itself rather than its saved state
+const OWN_PARAMS = [WORKSPACE_PARAM, 'repos'];
+
+// State
+const workspaceStore = loadWorkspaces();
+let activeWorkspaceId = applyWorkspaceFromQueryString();
+
+/**
+ * Load the saved workspaces from localStorage
+ * @returns {{version, lastUsed, workspaces: Array<{id, name, repos, view, params}>}}
+ */
+function loadWorkspaces() {
+    try {
+        const saved = localStorage.getItem(WORKSPACES_STORAGE_KEY);
+        if (saved) {
+            const parsed = JSON.parse(saved);
+            if (parsed && Array.isArray(parsed.workspaces)) {
+                return { version: WORKSPACES_VERSION, lastUsed: parsed.lastUsed || null, workspaces: parsed.workspaces };
+            }
+        }
+    } catch (error) {
+        console.error('Workspaces read error:', error);
+    }
+    return { version: WORKSPACES_VERSION, lastUsed: null, workspaces: [] };
+}
+
+/**
+ * Save the workspaces to localStorage
+ */
+function saveWorkspaces() {
+    localStorage.setItem(WORKSPACES_STORAGE_KEY, JSON.stringify(workspaceStore));
+}
+
+/**
+ * Get the file name of the current view (e.g. "by-type.html")
+ */
+function getCurrentView() {
+    const page = window.location.pathname.split('/').pop();
+    return WORKSPACE_VIEWS.includes(page) ? page : DEFAULT_VIEW;
+}
+
+/**
+ * Turn a workspace name into a URL-friendly id that isn't taken yet
+ */
+function createWorkspaceId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'workspace';
+    let id = base;
+    for (let suffix = 2; findWorkspace(id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Find a workspace by id (or by name, for hand-written ?workspace= URLs)
+ */
+function findWorkspace(idOrName) {
+    if (!idOrName) return null;
+    const lowerName = idOrName.toLowerCase();
+    return workspaceStore.workspaces.find(workspace => workspace.id === idOrName) ||
+        workspaceStore.workspaces.find(workspace => workspace.name.toLowerCase() === lowerName) ||
+        null;
+}
+
+/**
+ * Read the workspace state (repos, view and the other query parameters) from the current URL
+ */
+function getStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const repos = (params.get('repos') || '').split(/[,|]/).map(repo => repo.trim()).filter(repo => repo);
+    OWN_PARAMS.forEach(param => params.delete(param));
+    return { repos, view: getCurrentView(), params: params.toString() };
+}
+
+/**
+ * Build the query string of a workspace (workspace=, repos= and its saved filters, sort...)
+ */
+function getWorkspaceQuery(workspace) {
+    const params = new URLSearchParams(workspace.params || '');
+    OWN_PARAMS.forEach(param => params.delete(param));
+    
+    const query = new URLSearchParams();
+    query.set(WORKSPACE_PARAM, workspace.id);
+    if (workspace.repos.length > 0) {
+        query.set('repos', workspace.repos.join(','));
+    }
+    params.forEach((value, key) => query.set(key, value));
+    return query.toString();
+}
+
+/**
+ * Resolve the active workspace when the page loads and fill the URL from it
+ * Runs before the other modules read their state from the query string:
+ * - ?workspace=id alone restores the saved repos, filters and sort
+ * - ?workspace=id with other parameters keeps the URL (it is synced into the workspace)
+ * - an unknown ?workspace= with repos creates the workspace (shared links)
+ * - a bare URL opens the last used workspace
+ * @returns {string|null} The active workspace id
+ */
+function applyWorkspaceFromQueryString() {
+    const params = new URLSearchParams(window.location.search);
+    const requested = params.get(WORKSPACE_PARAM);
+    
+    let workspace = null;
+    if (requested) {
+        workspace = findWorkspace(requested);
+        if (!workspace && params.get('repos')) {
+            workspace = { id: createWorkspaceId(requested), name: requested, ...getStateFromUrl() };
+            workspaceStore.workspaces.push(workspace);
+        }
+    } else if (!window.location.search) {
+        workspace = findWorkspace(workspaceStore.lastUsed);
+    }
+    
+    const url = new URL(window.location);
+    if (!workspace) {
+        if (requested) {
+            console.error(`Workspace "${requested}" not found`);
+            url.searchParams.delete(WORKSPACE_PARAM);
+            window.history.replaceState({}, '', url);
+        }
+        return null;
+    }
+    
+    // Only the workspace is selected - restore its saved state
+    if ([...params.keys()].every(key => key === WORKSPACE_PARAM)) {
+        url.search = getWorkspaceQuery(workspace);
+    } else {
+        url.searchParams.set(WORKSPACE_PARAM, workspace.id);
+    }
+    window.history.replaceState({}, '', url);
+    
+    workspaceStore.lastUsed = workspace.id;
+    saveWorkspaces();
+    return workspace.id;
+}
+
+/**
+ * Get all workspaces
+ */
+export function getWorkspaces() {
+    return workspaceStore.workspaces;
+}
+
+/**
+ * Get the active workspace (null when browsing without one)
+ */
+export function getActiveWorkspace() {
+    return findWorkspace(activeWorkspaceId);
+}
+
+/**
+ * Save the current URL state (repos, view, filters, sort...) into the active workspace
+ * Called whenever the query string changes
+ */
+export function syncActiveWorkspace() {
+    const workspace = getActiveWorkspace();
+    if (!workspace) return;
+    
+    const state = getStateFromUrl();
+    // Views that don't set repos= (e.g. the default repo) keep the saved list
+    Object.assign(workspace, state, { repos: state.repos.length > 0 ? state.repos : workspace.repos });
+    saveWorkspaces();
+}
+
+/**
+ * Create a workspace from the current URL state
+ * @returns {Object} The new workspace
+ */
+export function createWorkspace(name) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+        throw new Error('Workspace name is required');
+    }
+    
+    const workspace = { id: createWorkspaceId(trimmed), name: trimmed, ...getStateFromUrl() };
+    workspaceStore.workspaces.push(workspace);
+    saveWorkspaces();
+    return workspace;
+}
+
+/**
+ * Rename a workspace (its id, and so its URLs, stay the same)
+ */
+export function renameWorkspace(id, name) {
+    const workspace = findWorkspace(id);
+    const trimmed = name.trim();
+    if (!workspace || !trimmed) {
+        throw new Error('Workspace name is required');
+    }
+    
+    workspace.name = trimmed;
+    saveWorkspaces();
+    return workspace;
+}
+
+/**
+ * Copy a workspace under a new name
+ * @returns {Object} The copy
+ */
+export function duplicateWorkspace(id, name) {
+    const source = findWorkspace(id);
+    const trimmed = name.trim();
+    if (!source || !trimmed) {
+        throw new Error('Workspace name is required');
+    }
+    
+    const copy = { ...source, repos: [...source.repos], id: createWorkspaceId(trimmed), name: trimmed };
+    workspaceStore.workspaces.push(copy);
+    saveWorkspaces();
+    return copy;
+}
+
+/**
+ * Delete a workspace (the current page keeps its URL state, without a workspace)
+ */
+export function deleteWorkspace(id) {
+    workspaceStore.workspaces = workspaceStore.workspaces.filter(workspace => workspace.id !== id);
+    if (workspaceStore.lastUsed === id) {
+        workspaceStore.lastUsed = null;
+    }
+    saveWorkspaces();
+    
+    if (activeWorkspaceId === id) {
+        activeWorkspaceId = null;
+        const url = new URL(window.location);
+        url.searchParams.delete(WORKSPACE_PARAM);
+        window.history.replaceState({}, '', url);
+    }
+}
+
+/**
+ * Get the URL that opens a workspace in its saved view
+ */
+export function getWorkspaceUrl(workspace) {
+    return `${workspace.view || DEFAULT_VIEW}?${getWorkspaceQuery(workspace)}`;
+}
+
+/**
+ * Stop using a workspace: the current view keeps its state, and bare URLs no longer open the last workspace
+ * @returns {string} The URL of the current view and state without a workspace
+ */
+export function leaveWorkspace() {
+    workspaceStore.lastUsed = null;
+    saveWorkspaces();
+    
+    const url = new URL(window.location);
+    url.searchParams.delete(WORKSPACE_PARAM);
+    return url.toString();
+}